@@ -1,5 +1,29 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { parseSeed } from "./sim/rng.js";
+import { compositionShares, parseComposition } from "./sim/composition.js";
+import { Experiment, runBatch } from "./sim/api.js";
+import { DetectorArray } from "./sim/array.js";
+import { ABSORBERS, DETECTOR_KINDS, DetectorVolumes, decodeDetectors, encodeDetectors } from "./sim/detectors.js";
+import { HitLog } from "./sim/hits.js";
+import { LateralDistribution, nkgDensity } from "./sim/lateral.js";
+import { parseRecording } from "./sim/recording.js";
+import { SimulationClient } from "./sim/client.js";
+import { altitudeAtDepth, atmospheres, getAtmosphere } from "./sim/atmosphere.js";
+import { fieldPresets, fieldVector } from "./sim/geomagnetic.js";
+import { LogHistogram, spectrumDensity } from "./sim/spectrum.js";
+import { BUILTIN_PRESETS, PresetStore, ViewpointStore, decodeHashState, encodeHashState } from "./sim/presets.js";
+import { SPECIES_INFO, parseSpeciesFile, primarySpecies } from "./sim/species.js";
+import { TelemetryHistory } from "./sim/telemetry.js";
+import {
+  GROUND_LEVEL,
+  KM_PER_UNIT,
+  SPECIES,
+  SPECIES_GROUPS,
+  altitudeKm,
+  arrivalVector,
+  profileXmax,
+} from "./sim/simulation.js";
 
 // Scene setup (keeps the new aesthetic but uses proven simulation logic)
 const scene = new THREE.Scene();
@@ -35,7 +59,7 @@ const accentInitial = new THREE.Color(rootComputed.getPropertyValue("--accent-pr
 const accentDimInitial = new THREE.Color(rootComputed.getPropertyValue("--accent-dim").trim() || "#7a1f1f");
 
 const grid = new THREE.GridHelper(400, 40, accentDimInitial, 0x111111);
-grid.position.y = -20;
+grid.position.y = GROUND_LEVEL;
 scene.add(grid);
 
 const ground = new THREE.Mesh(
@@ -43,27 +67,86 @@ const ground = new THREE.Mesh(
   new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.5, side: THREE.DoubleSide }),
 );
 ground.rotateX(-Math.PI / 2);
-ground.position.y = -20.1;
+ground.position.y = GROUND_LEVEL - 0.1;
 scene.add(ground);
 
-// Palettes and lifetimes (extends the original with new particle species)
-const typePalette = {
-  proton: 0xffc26f,
-  gamma: 0x7ef9ff,
-  pion: 0xff7bac,
-  muon: 0x88c4ff,
-  electron: 0x66ffd7,
-  positron: 0xffa3ff,
-  neutrino: 0x7a7a7a,
-  iron: 0xffd97d,
-  tau: 0x88ff00,
-  antiproton: 0xb070ff,
-};
+// Geomagnetic field direction marker, shown while a field is on
+const fieldArrow = new THREE.ArrowHelper(
+  new THREE.Vector3(0, -1, 0),
+  new THREE.Vector3(-160, GROUND_LEVEL + 30, -160),
+  30,
+  0x4da6ff,
+  6,
+  3,
+);
+fieldArrow.visible = false;
+scene.add(fieldArrow);
+
+// Surface array: one instanced disc per station, plus the true (white) and
+// reconstructed (green) core and axis of the last triggered event
+const array = new DetectorArray();
+const stationIdleColor = new THREE.Color(0x1c2633);
+let stationMesh = null;
+
+function createCoreMarker(color) {
+  const marker = new THREE.Mesh(
+    new THREE.RingGeometry(1.4, 2, 32),
+    new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85, side: THREE.DoubleSide }),
+  );
+  marker.rotateX(-Math.PI / 2);
+  marker.position.y = GROUND_LEVEL + 0.3;
+  marker.visible = false;
+  scene.add(marker);
+  return marker;
+}
+
+function createAxisArrow(color) {
+  const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 45, color, 5, 2.5);
+  arrow.visible = false;
+  scene.add(arrow);
+  return arrow;
+}
 
+// Detector volumes: one mesh per detector, its absorber drawn as a grey block
+// above it (buried ones with their depth exaggerated), flashing as it
+// registers particles
+const detectors = new DetectorVolumes();
+const detectorGroup = new THREE.Group();
+scene.add(detectorGroup);
+const detectorColors = { slab: 0x3fa7ff, tank: 0x2fd6c8, buried: 0xd6a02f };
+const DETECTOR_DEPTH_SCALE = 0.05;
+// Detector meshes by id, with their flash level
+const detectorMeshes = new Map();
+let detectorStatsDirty = true;
+
+// Telescope: a small dome on the ground with an arrow along its optical axis
+const telescopeMarker = new THREE.Group();
+telescopeMarker.add(
+  new THREE.Mesh(
+    new THREE.SphereGeometry(1.2, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: 0xb47cff, transparent: true, opacity: 0.8 }),
+  ),
+);
+const telescopeAxis = new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), new THREE.Vector3(), 14, 0xb47cff, 2, 1);
+telescopeMarker.add(telescopeAxis);
+telescopeMarker.visible = false;
+scene.add(telescopeMarker);
+const telescopeColors = { cherenkov: new THREE.Color(0x66b3ff), fluorescence: new THREE.Color(0xb47cff) };
+// Image version and light mode last drawn
+let telescopeDrawn = null;
+
+const trueCoreMarker = createCoreMarker(0xffffff);
+const recoCoreMarker = createCoreMarker(0x4dff88);
+const trueAxisArrow = createAxisArrow(0xffffff);
+const recoAxisArrow = createAxisArrow(0x4dff88);
+
+// Palettes, from the species registry (see refreshSpeciesPalette)
 const paletteCache = {};
-for (const type in typePalette) {
-  paletteCache[type] = new THREE.Color(typePalette[type]);
+
+function refreshSpeciesPalette() {
+  for (const info of SPECIES_INFO) paletteCache[info.name] = new THREE.Color(info.color);
 }
+refreshSpeciesPalette();
 
 const accentState = {
   current: accentInitial.clone(),
@@ -122,50 +205,16 @@ function updateAccent(delta) {
   applyAccentStyles();
 }
 
-const lifetimeMap = {
-  proton: 6,
-  gamma: 1.2,
-  pion: 1.0,
-  muon: 3.2,
-  electron: 1.7,
-  positron: 1.4,
-  neutrino: 0.6,
-  iron: 6,
-  tau: 0.5,
-  antiproton: 6,
-};
-
-class Particle {
-  constructor(type, position, velocity, energy) {
-    this.type = type;
-    this.position = position.clone();
-    this.velocity = velocity.clone();
-    this.energy = energy;
-    this.age = 0;
-  }
-
-  update(delta) {
-    this.age += delta;
-    this.position.addScaledVector(this.velocity, delta);
-    this.velocity.y -= delta * 3.8;
-    if (this.type === "gamma") {
-      this.velocity.multiplyScalar(0.995);
-    }
-    this.energy = Math.max(0, this.energy - delta * 0.08);
-  }
-
-  shouldExpire() {
-    return this.position.y < -20 || this.age > lifetimeMap[this.type] || this.energy < 0.0005;
-  }
-}
-
-// Buffers
-const maxParticles = 20000;
-const particles = [];
-const positions = new Float32Array(maxParticles * 3);
-const colors = new Float32Array(maxParticles * 3);
-const energies = new Float32Array(maxParticles);
+// Buffers. Live positions are interpolated between the worker's last two
+// steps; colors and energies grow along with whichever positions are bound
+// (see bindPointCloud).
+let livePositions = new Float32Array(0);
+let colors = new Float32Array(0);
+let energies = new Float32Array(0);
+// Worker frame the colors were last written for
+let shadedFrame = null;
 
+// Ground hits wrap around: the newest overwrites the oldest.
 const maxHits = 16000;
 const hitPositions = new Float32Array(maxHits * 3);
 const hitColors = new Float32Array(maxHits * 3);
@@ -173,9 +222,6 @@ const hitEnergies = new Float32Array(maxHits);
 
 // Geometry
 const particleGeometry = new THREE.BufferGeometry();
-particleGeometry.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
-particleGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
-particleGeometry.setAttribute("energy", new THREE.BufferAttribute(energies, 1).setUsage(THREE.DynamicDrawUsage));
 particleGeometry.setDrawRange(0, 0);
 
 const hitGeometry = new THREE.BufferGeometry();
@@ -274,40 +320,537 @@ scene.add(pointCloud);
 const hitCloud = new THREE.Points(hitGeometry, hitMaterial);
 scene.add(hitCloud);
 
+// Particle tracks: line segments in a ring buffer, the newest overwriting the
+// oldest. Each vertex carries the simulation time it was laid down at, and
+// the shader fades it out over `trailLength` simulated seconds (never while
+// `frozen`). Freeze Tracks pins one shower: its segments move to a buffer of
+// their own that the ring does not overwrite and that does not fade.
+const maxTrackSegments = 200000;
+const maxPinnedSegments = 200000;
+// Simulated seconds between the points of a track
+const TRACK_INTERVAL = 1 / 30;
+// Time given to ring segments moved out to the pinned buffer, so they are
+// never drawn again.
+const TRACK_GONE = -1e30;
+
+const trackMaterial = new THREE.ShaderMaterial({
+  uniforms: { now: { value: 0 }, trailLength: { value: 2 }, frozen: { value: false } },
+  vertexShader: `
+    uniform float now;
+    uniform float trailLength;
+    uniform bool frozen;
+    attribute float time;
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+      vColor = color;
+      vFade = frozen ? 1.0 : 1.0 - (now - time) / trailLength;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+      if (vFade <= 0.0) discard;
+      gl_FragColor = vec4(vColor * vFade, 0.7 * vFade);
+    }
+  `,
+  transparent: true,
+  depthWrite: false,
+  blending: THREE.AdditiveBlending,
+  vertexColors: true,
+});
+
+// The pinned shower's material shares the clock and trail length.
+const pinnedTrackMaterial = trackMaterial.clone();
+pinnedTrackMaterial.uniforms = { ...trackMaterial.uniforms, frozen: { value: true } };
+
+// A buffer of `capacity` segments and the lines drawing it. `dirty` is the
+// range of segments to upload with the next render.
+function createTrackLayer(capacity, material) {
+  const positions = new Float32Array(capacity * 6);
+  const colors = new Float32Array(capacity * 6);
+  const times = new Float32Array(capacity * 2);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute("time", new THREE.BufferAttribute(times, 1).setUsage(THREE.DynamicDrawUsage));
+  geometry.setDrawRange(0, 0);
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.frustumCulled = false;
+  lines.visible = false;
+  scene.add(lines);
+  const layer = { positions, colors, times, geometry, lines, dirty: null };
+  lines.onAfterRender = () => {
+    layer.dirty = null;
+  };
+  return layer;
+}
+
+const trackRing = createTrackLayer(maxTrackSegments, trackMaterial);
+// Shower id of each ring segment.
+const trackShowers = new Uint32Array(maxTrackSegments);
+const pinnedTracks = createTrackLayer(maxPinnedSegments, pinnedTrackMaterial);
+
+// Inspector highlight: the picked particle and its live siblings (white),
+// its ancestors' birth points (accent) and the ancestry path through them
+const maxHighlights = 512;
+const highlightWhite = new THREE.Color(0xffffff);
+const highlightPositions = new Float32Array(maxHighlights * 3);
+const highlightColors = new Float32Array(maxHighlights * 3);
+const highlightGeometry = new THREE.BufferGeometry();
+highlightGeometry.setAttribute(
+  "position",
+  new THREE.BufferAttribute(highlightPositions, 3).setUsage(THREE.DynamicDrawUsage),
+);
+highlightGeometry.setAttribute("color", new THREE.BufferAttribute(highlightColors, 3).setUsage(THREE.DynamicDrawUsage));
+highlightGeometry.setDrawRange(0, 0);
+const highlightCloud = new THREE.Points(
+  highlightGeometry,
+  new THREE.PointsMaterial({
+    size: 4,
+    map: particleTexture,
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  }),
+);
+scene.add(highlightCloud);
+
+const maxPathPoints = 64;
+const pathPositions = new Float32Array(maxPathPoints * 3);
+const pathGeometry = new THREE.BufferGeometry();
+pathGeometry.setAttribute("position", new THREE.BufferAttribute(pathPositions, 3).setUsage(THREE.DynamicDrawUsage));
+pathGeometry.setDrawRange(0, 0);
+const ancestryPath = new THREE.Line(
+  pathGeometry,
+  new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 }),
+);
+ancestryPath.frustumCulled = false;
+scene.add(ancestryPath);
+
+const raycaster = new THREE.Raycaster();
+raycaster.params.Points.threshold = 1.2;
+const pointer = new THREE.Vector2();
+const pointerDown = { x: 0, y: 0 };
+
 // UI references
 const primaryTypeSelect = document.getElementById("primaryType");
+const speciesLoadButton = document.getElementById("speciesLoad");
+const speciesFileInput = document.getElementById("speciesFile");
 const energyRange = document.getElementById("energyRange");
 const driveRange = document.getElementById("driveRange");
 const rateRange = document.getElementById("rateRange");
+const zenithRange = document.getElementById("zenithRange");
+const azimuthRange = document.getElementById("azimuthRange");
 const energyValue = document.getElementById("energyValue");
+const zenithValue = document.getElementById("zenithValue");
+const azimuthValue = document.getElementById("azimuthValue");
 const driveValue = document.getElementById("driveValue");
 const rateValue = document.getElementById("rateValue");
 const burstButton = document.getElementById("burstButton");
 const clearButton = document.getElementById("clearButton");
 const pauseButton = document.getElementById("pauseButton");
 const hitToggle = document.getElementById("hitToggle");
+const trackToggle = document.getElementById("trackToggle");
+const trailLengthRange = document.getElementById("trailLength");
+const trailLengthValue = document.getElementById("trailLengthValue");
+const freezeToggle = document.getElementById("freezeTracks");
 const clearHitsButton = document.getElementById("clearHits");
 const cascadeToggle = document.getElementById("cascadeToggle");
+const conserveToggle = document.getElementById("conserveToggle");
+const isotropicToggle = document.getElementById("isotropicToggle");
+const atmosphereSelect = document.getElementById("atmosphereSelect");
+const interactionSelect = document.getElementById("interactionModel");
+const speedSelect = document.getElementById("simSpeed");
+const timestepSelect = document.getElementById("simTimestep");
+const axisAtmosphereLabel = document.getElementById("axisAtmosphere");
+const fieldPresetSelect = document.getElementById("fieldPreset");
+const fieldInputs = {
+  strength: document.getElementById("fieldStrength"),
+  inclination: document.getElementById("fieldInclination"),
+  declination: document.getElementById("fieldDeclination"),
+};
+const fieldLabels = {
+  strength: document.getElementById("fieldStrengthValue"),
+  inclination: document.getElementById("fieldInclinationValue"),
+  declination: document.getElementById("fieldDeclinationValue"),
+};
+const compositionToggle = document.getElementById("compositionToggle");
+const mixInputs = {
+  proton: document.getElementById("mixProton"),
+  helium: document.getElementById("mixHelium"),
+  iron: document.getElementById("mixIron"),
+  gamma: document.getElementById("mixGamma"),
+};
+const mixLabels = {
+  proton: document.getElementById("mixProtonValue"),
+  helium: document.getElementById("mixHeliumValue"),
+  iron: document.getElementById("mixIronValue"),
+  gamma: document.getElementById("mixGammaValue"),
+};
+const arrayInputs = {
+  layout: document.getElementById("arrayLayout"),
+  spacing: document.getElementById("arraySpacing"),
+  area: document.getElementById("arrayArea"),
+  threshold: document.getElementById("arrayThreshold"),
+  minStations: document.getElementById("arrayMinStations"),
+};
+const arrayLabels = {
+  spacing: document.getElementById("arraySpacingValue"),
+  area: document.getElementById("arrayAreaValue"),
+  threshold: document.getElementById("arrayThresholdValue"),
+  minStations: document.getElementById("arrayMinStationsValue"),
+};
+const arrayDigits = { spacing: 1, area: 2, threshold: 0, minStations: 0 };
+const detectorInputs = {
+  kind: document.getElementById("detectorKind"),
+  absorber: document.getElementById("detectorAbsorber"),
+  thickness: document.getElementById("detectorThickness"),
+  east: document.getElementById("detectorEast"),
+  north: document.getElementById("detectorNorth"),
+  size: document.getElementById("detectorSize"),
+};
+const detectorLabels = {
+  thickness: document.getElementById("detectorThicknessValue"),
+  east: document.getElementById("detectorEastValue"),
+  north: document.getElementById("detectorNorthValue"),
+  size: document.getElementById("detectorSizeValue"),
+};
+const detectorListSelect = document.getElementById("detectorList");
+const detectorAddButton = document.getElementById("detectorAdd");
+const detectorRemoveButton = document.getElementById("detectorRemove");
+const detectorStatsElement = document.getElementById("detectorStats");
+const telescopeToggle = document.getElementById("telescopeToggle");
+const telescopeInputs = {
+  east: document.getElementById("telescopeEast"),
+  north: document.getElementById("telescopeNorth"),
+  elevation: document.getElementById("telescopeElevation"),
+  azimuth: document.getElementById("telescopeAzimuth"),
+  fov: document.getElementById("telescopeFov"),
+};
+const telescopeLabels = {
+  east: document.getElementById("telescopeEastValue"),
+  north: document.getElementById("telescopeNorthValue"),
+  elevation: document.getElementById("telescopeElevationValue"),
+  azimuth: document.getElementById("telescopeAzimuthValue"),
+  fov: document.getElementById("telescopeFovValue"),
+};
+const telescopeElements = {
+  canvas: document.getElementById("telescopeCanvas"),
+  photons: document.getElementById("telescopePhotons"),
+  light: document.getElementById("telescopeLight"),
+  reset: document.getElementById("telescopeReset"),
+};
+const telescopeCtx = telescopeElements.canvas?.getContext("2d");
+const recoElements = {
+  event: document.getElementById("arrayEvent"),
+  stations: document.getElementById("reco-stations"),
+  trueCore: document.getElementById("reco-true-core"),
+  core: document.getElementById("reco-core"),
+  trueDirection: document.getElementById("reco-true-direction"),
+  direction: document.getElementById("reco-direction"),
+  error: document.getElementById("reco-error"),
+};
+const lateralCanvas = document.getElementById("lateralCanvas");
+const lateralCtx = lateralCanvas?.getContext("2d");
+const lateralSelect = document.getElementById("lateralShower");
+const lateralExportButton = document.getElementById("lateralExport");
+const lateralFitLabel = document.getElementById("lateralFit");
+const inspectElements = {
+  tag: document.getElementById("inspectTag"),
+  particle: document.getElementById("inspect-particle"),
+  energy: document.getElementById("inspect-energy"),
+  shower: document.getElementById("inspect-shower"),
+  generation: document.getElementById("inspect-generation"),
+  altitude: document.getElementById("inspect-altitude"),
+  depth: document.getElementById("inspect-depth"),
+  siblings: document.getElementById("inspect-siblings"),
+  ancestry: document.getElementById("inspectAncestry"),
+};
+const showerTreeElement = document.getElementById("showerTree");
+const treeTag = document.getElementById("treeTag");
+const compositionStatsElement = document.getElementById("compositionStats");
+const spectrumToggle = document.getElementById("spectrumToggle");
+const spectrumInputs = {
+  index: document.getElementById("spectrumIndex"),
+  knee: document.getElementById("spectrumKnee"),
+  indexChange: document.getElementById("spectrumIndexChange"),
+  min: document.getElementById("spectrumMin"),
+  max: document.getElementById("spectrumMax"),
+};
+const spectrumLabels = {
+  index: document.getElementById("spectrumIndexValue"),
+  knee: document.getElementById("spectrumKneeValue"),
+  indexChange: document.getElementById("spectrumIndexChangeValue"),
+  min: document.getElementById("spectrumMinValue"),
+  max: document.getElementById("spectrumMaxValue"),
+};
+const spectrumDigits = { index: 2, knee: 1, indexChange: 2, min: 1, max: 1 };
+const spectrumCountLabel = document.getElementById("spectrumCount");
+const spectrumModeLabel = document.getElementById("spectrumMode");
+const spectrumCanvas = document.getElementById("spectrumCanvas");
+const spectrumCtx = spectrumCanvas?.getContext("2d");
+const seedInput = document.getElementById("seedInput");
+const seedApplyButton = document.getElementById("seedApply");
+const replayButton = document.getElementById("replayButton");
+const seedLabel = document.getElementById("seedLabel");
 const logElement = document.getElementById("consoleLog");
 const sysTime = document.getElementById("sysTime");
-const axisCanvas = document.getElementById("axisCanvas");
-const axisCtx = axisCanvas?.getContext("2d");
+const profileCanvas = document.getElementById("profileCanvas");
+const profileCtx = profileCanvas?.getContext("2d");
+const profileAxisSelect = document.getElementById("profileAxis");
+const profileXmaxLabel = document.getElementById("profileXmax");
+const telemetrySourceLabel = document.getElementById("telemetrySource");
+const historyElements = {
+  canvas: document.getElementById("historyCanvas"),
+  samples: document.getElementById("historySamples"),
+  scale: document.getElementById("historyScale"),
+  window: document.getElementById("historyWindow"),
+  series: document.getElementById("historySeries"),
+  span: document.getElementById("historyWindowSelect"),
+  table: document.querySelector("#showerTable tbody"),
+  tableCount: document.getElementById("showerTableCount"),
+  format: document.getElementById("historyFormat"),
+  export: document.getElementById("historyExport"),
+  reset: document.getElementById("historyReset"),
+};
+const historyCtx = historyElements.canvas?.getContext("2d");
+const hitExportElements = {
+  count: document.getElementById("hitLogCount"),
+  species: document.getElementById("hitSpecies"),
+  shower: document.getElementById("hitShower"),
+  format: document.getElementById("hitFormat"),
+  export: document.getElementById("hitExport"),
+};
+const recorderElements = {
+  status: document.getElementById("recorderStatus"),
+  record: document.getElementById("recordButton"),
+  save: document.getElementById("recordSave"),
+  load: document.getElementById("recordLoad"),
+  file: document.getElementById("recordFile"),
+  controls: document.getElementById("playbackControls"),
+  timeline: document.getElementById("timelineRange"),
+  time: document.getElementById("timelineValue"),
+  back: document.getElementById("playbackBack"),
+  play: document.getElementById("playbackPlay"),
+  forward: document.getElementById("playbackForward"),
+  speed: document.getElementById("playbackSpeed"),
+  exit: document.getElementById("playbackExit"),
+};
+const presetElements = {
+  select: document.getElementById("presetSelect"),
+  load: document.getElementById("presetLoad"),
+  remove: document.getElementById("presetDelete"),
+  link: document.getElementById("presetLink"),
+  name: document.getElementById("presetName"),
+  save: document.getElementById("presetSave"),
+  export: document.getElementById("presetExport"),
+  import: document.getElementById("presetImport"),
+  file: document.getElementById("presetFile"),
+};
+
+const cameraElements = {
+  tag: document.getElementById("cameraTag"),
+  mode: document.getElementById("cameraMode"),
+  side: document.getElementById("cameraSide"),
+  top: document.getElementById("cameraTop"),
+  ground: document.getElementById("cameraGround"),
+  viewpoint: document.getElementById("viewpointSelect"),
+  go: document.getElementById("viewpointGo"),
+  remove: document.getElementById("viewpointDelete"),
+  name: document.getElementById("viewpointName"),
+  save: document.getElementById("viewpointSave"),
+};
+
+// Controls that make up a configuration (presets and the URL hash), by id, in
+// the order they are applied: the field sliders before the site that may
+// override them, and Auto-Cascade last so its first primary sees the rest.
+const CONFIG_CONTROL_IDS = [
+  "primaryType",
+  "energyRange",
+  "zenithRange",
+  "azimuthRange",
+  "driveRange",
+  "compositionToggle",
+  "mixProton",
+  "mixHelium",
+  "mixIron",
+  "mixGamma",
+  "spectrumToggle",
+  "spectrumIndex",
+  "spectrumKnee",
+  "spectrumIndexChange",
+  "spectrumMin",
+  "spectrumMax",
+  "fieldStrength",
+  "fieldInclination",
+  "fieldDeclination",
+  "fieldPreset",
+  "arrayLayout",
+  "arraySpacing",
+  "arrayArea",
+  "arrayThreshold",
+  "arrayMinStations",
+  "telescopeToggle",
+  "telescopeEast",
+  "telescopeNorth",
+  "telescopeElevation",
+  "telescopeAzimuth",
+  "telescopeFov",
+  "telescopeLight",
+  "atmosphereSelect",
+  "interactionModel",
+  "simSpeed",
+  "simTimestep",
+  "rateRange",
+  "isotropicToggle",
+  "conserveToggle",
+  "hitToggle",
+  "trackToggle",
+  "trailLength",
+  "freezeTracks",
+  "cameraMode",
+  "cascadeToggle",
+];
+const configControls = new Map(
+  CONFIG_CONTROL_IDS.map((id) => [id, document.getElementById(id)]).filter(([, element]) => element),
+);
+const configToggles = [...configControls].filter(([, element]) => element.type === "checkbox").map(([id]) => id);
+
+const ledgerElements = {
+  shower: document.getElementById("ledgerShower"),
+  injected: document.getElementById("ledger-injected"),
+  air: document.getElementById("ledger-air"),
+  neutrino: document.getElementById("ledger-neutrino"),
+  ground: document.getElementById("ledger-ground"),
+  flight: document.getElementById("ledger-flight"),
+  dropped: document.getElementById("ledger-dropped"),
+  balance: document.getElementById("ledger-balance"),
+};
 
 const statsElements = {
   muon: document.getElementById("stat-muon"),
   gamma: document.getElementById("stat-gamma"),
   electron: document.getElementById("stat-electron"),
   hadrons: document.getElementById("stat-hadrons"),
+  muonCharge: document.getElementById("stat-muon-charge"),
   count: document.getElementById("particleCount"),
+  dropped: document.getElementById("stat-dropped"),
 };
 
-// Simulation state
+function readMixInputs() {
+  const mixture = {};
+  for (const key in mixInputs) {
+    mixture[key] = parseFloat(mixInputs[key]?.value || "0");
+  }
+  return mixture;
+}
+
+function readSpectrumInputs() {
+  const spectrum = {};
+  for (const key in spectrumInputs) {
+    spectrum[key] = parseFloat(spectrumInputs[key]?.value || "0");
+  }
+  return spectrum;
+}
+
+// The page's own control values, the base built-in presets are applied over
+const defaultConfig = readConfig();
+const presetStore = new PresetStore(window.localStorage);
+const viewpointStore = new ViewpointStore(window.localStorage);
+// Session state carried in the URL hash: every config control, the seed and
+// the camera (applied once the page is set up). Older links carry the seed,
+// composition mode and mixture in the query string instead.
+const hashState = decodeHashState(window.location.hash, configToggles);
+const urlParams = new URLSearchParams(window.location.search);
+const savedMixture = parseComposition(urlParams.get("mix"));
+if (savedMixture) {
+  for (const key in mixInputs) {
+    if (mixInputs[key]) mixInputs[key].value = String(savedMixture[key] ?? 0);
+  }
+}
+if (compositionToggle && urlParams.has("beam")) compositionToggle.checked = urlParams.get("beam") === "mixed";
+
+// Simulation state: the physics runs in a worker (sim/worker.js), this file renders it
 const clock = new THREE.Clock();
-let spawnAccumulator = 0;
+const sim = new SimulationClient(
+  {
+    primaryType: primaryTypeSelect?.value || "proton",
+    energy: parseFloat(energyRange?.value || "1"),
+    drive: parseFloat(driveRange?.value || "1"),
+    rate: parseFloat(rateRange?.value || "1"),
+    zenith: parseFloat(zenithRange?.value || "0"),
+    azimuth: parseFloat(azimuthRange?.value || "0"),
+    skyMode: isotropicToggle?.checked ? "isotropic" : "fixed",
+    compositionMode: compositionToggle?.checked ? "mixed" : "single",
+    composition: readMixInputs(),
+    spectrumMode: spectrumToggle?.checked ? "power-law" : "mono",
+    spectrum: readSpectrumInputs(),
+    cascade: Boolean(cascadeToggle?.checked),
+    conserveEnergy: Boolean(conserveToggle?.checked),
+    atmosphere: atmosphereSelect?.value || "us-standard",
+    interactionModel: interactionSelect?.value || "grammage",
+    speed: parseFloat(speedSelect?.value || "1"),
+    timestep: 1 / parseFloat(timestepSelect?.value || "60"),
+  },
+  { seed: parseSeed(hashState?.seed ?? urlParams.get("seed")) },
+);
 let hitsActive = true;
 let hitCount = 0;
-let cascadeActive = false;
+let hitHead = 0;
+let tracksActive = false;
+let trackCount = 0;
+let trackHead = 0;
+// Id of the shower whose tracks are pinned (null for none) and the segments
+// in the pinned buffer.
+let pinnedShower = null;
+let pinnedCount = 0;
+// Per pool handle: the version plus one of the particle whose track it holds
+// (0 for none), and the time and position of that track's last point.
+let trackVersions = new Uint32Array(0);
+let trackLastTimes = new Float64Array(0);
+let trackLastPoints = new Float32Array(0);
 let isPaused = false;
+// Energies of the Auto-Cascade primaries, binned over the spectrum's range
+const injectedSpectrum = new LogHistogram(sim.params.spectrum.min, sim.params.spectrum.max);
+let spectrumDirty = true;
+// Finished showers per true primary species: count and ground muons
+const speciesStats = {};
+// Lateral distributions of the recent showers, by shower id
+const lateralHistory = new Map();
+const MAX_LATERAL_HISTORY = 32;
+const lateralColors = { electron: "electron", gamma: "gamma", muon: "muon", hadron: "proton" };
+// Longitudinal profile: recent showers drawn behind the latest one
+const PROFILE_OVERLAYS = 8;
+const PROFILE_TOP_ALTITUDE = 40;
+const profileColors = lateralColors;
+// Profiles of the showers last drawn; the worker sends a fresh profile object
+// whenever a shower changes, so the same objects mean nothing to redraw
+let profilesDrawn = [];
+let profileDirty = true;
+let lateralDirty = true;
+// Particle picked with the mouse, as the worker last reported it; kept after
+// it dies so its record stays readable
+let selectedParticle = null;
+// Whether the worker is recording, the last finished recording, and the
+// recording being played back. Playback holds the simulation and draws the
+// point cloud, ground hits and telemetry from the recorded frames instead.
+let isRecording = false;
+let lastRecording = null;
+let playback = null;
+// Every ground hit as a structured record, for export
+const hitLog = new HitLog();
+const hitGroupLabels = { electron: "E±", gamma: "GAMMA", muon: "MUON", hadron: "HADRON" };
+// Sampled counts, ground hits and finished showers of the live simulation;
+// playback leaves it alone
+const telemetry = new TelemetryHistory();
+const SHOWER_TABLE_ROWS = 50;
+let historyDirty = true;
 
 function setPaused(paused) {
   isPaused = paused;
@@ -322,11 +865,23 @@ function togglePause() {
 }
 
 function clearSky() {
-  particles.length = 0;
+  sim.clear();
+  array.reset();
+  resetTracks();
 }
 
 function clearHits() {
+  for (const type in speciesStats) delete speciesStats[type];
+  renderSpeciesStats();
+  hitLog.clear();
+  resetHitPoints();
+  detectors.reset();
+  detectorStatsDirty = true;
+}
+
+function resetHitPoints() {
   hitCount = 0;
+  hitHead = 0;
   hitGeometry.setDrawRange(0, 0);
   hitGeometry.attributes.position.needsUpdate = true;
   hitGeometry.attributes.color.needsUpdate = true;
@@ -338,48 +893,311 @@ function clearAll() {
   clearHits();
 }
 
-function brightnessFactor(energy) {
-  const primaryEnergy = Math.max(parseFloat(energyRange.value) || 1, 0.5);
-  const ratio = Math.min(energy / primaryEnergy, 1);
-  return THREE.MathUtils.clamp(0.35 + 0.65 * ratio, 0.35, 1);
-}
-
-function createParticle(type, origin, energy, options = {}) {
-  const scatter = options.scatter ?? 0.45;
-  const upwardBias = options.upwardBias ?? 0;
-  const baseSpeed = options.speed ?? 16;
-  const direction = new THREE.Vector3(
-    (Math.random() - 0.5) * scatter,
-    -1 + upwardBias,
-    (Math.random() - 0.5) * scatter,
-  ).normalize();
-  const speed = baseSpeed + energy * 5;
-  const velocity = direction.multiplyScalar(speed);
-  const position = origin.clone();
-  return new Particle(type, position, velocity, Math.max(energy, 0.08));
-}
-
-function createPair(parent, typeA, typeB) {
-  const share = parent.energy * 0.45;
-  return [
-    createParticle(typeA, parent.position, share, {
-      scatter: 0.8,
-      upwardBias: 0.2,
-      speed: 20,
-    }),
-    createParticle(typeB, parent.position, share, {
-      scatter: 0.85,
-      upwardBias: 0.15,
-      speed: 18,
-    }),
-  ];
-}
-
-function logEvent(msg) {
+function updateSeedDisplay() {
+  const { sessionSeed, lastPrimary } = sim;
+  if (seedInput && document.activeElement !== seedInput) seedInput.value = String(sessionSeed);
+  if (seedLabel) {
+    seedLabel.textContent = lastPrimary ? `SEED ${sessionSeed} // LAST ${lastPrimary.seed}` : `SEED ${sessionSeed}`;
+  }
+  if (replayButton) replayButton.disabled = !lastPrimary;
+}
+
+// The control values, and the placed detectors as `detectors` (see
+// encodeDetectors).
+function readConfig() {
+  const config = {};
+  for (const [id, element] of configControls) {
+    config[id] = element.type === "checkbox" ? element.checked : element.value;
+  }
+  config.detectors = encodeDetectors(detectors.detectors);
+  return config;
+}
+
+// Sets the listed controls and fires their own input or change handlers, so
+// the simulation and HUD follow as if the user had changed them.
+function applyConfig(config) {
+  if (typeof config.detectors === "string" && config.detectors !== encodeDetectors(detectors.detectors)) {
+    detectors.replace(decodeDetectors(config.detectors));
+    buildDetectorMeshes();
+    refreshDetectorList();
+    detectorStatsDirty = true;
+  }
+  for (const [id, element] of configControls) {
+    if (!(id in config)) continue;
+    const toggle = element.type === "checkbox";
+    if (toggle ? element.checked === config[id] : element.value === config[id]) continue;
+    if (toggle) element.checked = Boolean(config[id]);
+    else element.value = String(config[id]);
+    const event = toggle || element.tagName === "SELECT" ? "change" : "input";
+    element.dispatchEvent(new Event(event));
+  }
+}
+
+function readCamera() {
+  return { position: camera.position.toArray(), target: controls.target.toArray() };
+}
+
+function applyCamera({ position, target }) {
+  cameraGlide = null;
+  camera.position.fromArray(position);
+  controls.target.fromArray(target);
+  controls.update();
+}
+
+// Camera modes: FREE leaves the camera to the orbit controls, FOLLOW keeps the
+// target on the leading particle of the newest shower still in the air and
+// carries the camera along (it still orbits and zooms), CINEMATIC circles the
+// scene slowly for unattended displays. Views and saved viewpoints are reached
+// in a glide of CAMERA_GLIDE seconds, which dragging the camera cuts short.
+const CAMERA_MODES = { free: "FREE", follow: "FOLLOW", cinematic: "CINEMATIC" };
+const CAMERA_VIEWS = {
+  side: { position: [0, 25, 170], target: [0, 25, 0] },
+  top: { position: [0, 150, 0.01], target: [0, GROUND_LEVEL, 0] },
+  ground: { position: [0, GROUND_LEVEL + 1, 45], target: [0, 60, 0] },
+};
+const CAMERA_GLIDE = 1.5;
+// How fast FOLLOW closes in on the front (per second), and the orbit speed of
+// CINEMATIC in OrbitControls' units (a turn in about four minutes).
+const FOLLOW_RATE = 3;
+const CINEMATIC_SPEED = 0.25;
+let cameraMode = "free";
+let cameraGlide = null;
+const cameraStep = new THREE.Vector3();
+
+function setCameraMode(mode) {
+  if (!(mode in CAMERA_MODES)) return;
+  cameraMode = mode;
+  if (cameraElements.mode) cameraElements.mode.value = mode;
+  if (cameraElements.tag) cameraElements.tag.textContent = CAMERA_MODES[mode];
+}
+
+function cycleCameraMode() {
+  const modes = Object.keys(CAMERA_MODES);
+  setCameraMode(modes[(modes.indexOf(cameraMode) + 1) % modes.length]);
+  scheduleSessionUrl();
+  logEvent(`CAMERA: ${CAMERA_MODES[cameraMode]}`);
+}
+
+// Glides to `view` ({ position, target }); FOLLOW gives way to it.
+function glideCamera(view) {
+  if (cameraMode === "follow") setCameraMode("free");
+  cameraGlide = { from: readCamera(), to: view, elapsed: 0 };
+}
+
+// Leading particle of the newest shower with particles left. None during
+// playback, whose frames do not tell which shower a particle belongs to.
+function latestShowerFront() {
+  if (playback) return null;
+  for (let i = sim.showers.length - 1; i >= 0; i -= 1) {
+    const front = sim.showerFront(sim.showers[i]);
+    if (front) return front;
+  }
+  return null;
+}
+
+// Runs before the orbit controls' update each frame.
+function updateCamera(delta) {
+  controls.autoRotate = cameraMode === "cinematic" && !cameraGlide;
+  controls.autoRotateSpeed = CINEMATIC_SPEED;
+  if (cameraGlide) {
+    cameraGlide.elapsed += delta;
+    const t = Math.min(1, cameraGlide.elapsed / CAMERA_GLIDE);
+    const eased = t * t * (3 - 2 * t);
+    const { from, to } = cameraGlide;
+    camera.position.fromArray(from.position).lerp(cameraStep.fromArray(to.position), eased);
+    controls.target.fromArray(from.target).lerp(cameraStep.fromArray(to.target), eased);
+    if (t === 1) {
+      cameraGlide = null;
+      scheduleSessionUrl();
+    }
+  } else if (cameraMode === "follow") {
+    const front = latestShowerFront();
+    if (!front) return;
+    cameraStep.fromArray(front).sub(controls.target).multiplyScalar(1 - Math.exp(-FOLLOW_RATE * delta));
+    controls.target.add(cameraStep);
+    camera.position.add(cameraStep);
+  }
+}
+
+// Saved viewpoints are listed in the order they were saved, the first six
+// with the key (4-9) that glides to them.
+function refreshViewpointOptions(selected = cameraElements.viewpoint?.value) {
+  const select = cameraElements.viewpoint;
+  if (!select) return;
+  const { names } = viewpointStore;
+  const options = names.map((name, index) => {
+    const key = index < 6 ? `[${index + 4}] ` : "";
+    return new Option(`${key}${name.toUpperCase()}`, name);
+  });
+  select.replaceChildren(...(options.length ? options : [new Option("NO VIEWPOINTS", "")]));
+  if (selected && names.includes(selected)) select.value = selected;
+  if (cameraElements.go) cameraElements.go.disabled = !names.length;
+  if (cameraElements.remove) cameraElements.remove.disabled = !names.length;
+}
+
+function goToViewpoint(name = cameraElements.viewpoint?.value) {
+  const viewpoint = name ? viewpointStore.get(name) : null;
+  if (viewpoint) glideCamera(viewpoint);
+}
+
+function saveViewpoint() {
+  const name = cameraElements.name?.value.trim();
+  if (!name) {
+    cameraElements.name?.focus();
+    return;
+  }
+  viewpointStore.save(name, readCamera());
+  if (cameraElements.name) cameraElements.name.value = "";
+  refreshViewpointOptions(name);
+  logEvent(`VIEWPOINT SAVED: ${name.toUpperCase()}`);
+}
+
+function deleteViewpoint() {
+  const name = cameraElements.viewpoint?.value;
+  if (!name) return;
+  viewpointStore.remove(name);
+  refreshViewpointOptions();
+  logEvent(`VIEWPOINT DELETED: ${name.toUpperCase()}`);
+}
+
+// Writes the session state into the URL hash without reloading, replacing
+// the query string keys older links used.
+function writeSessionUrl() {
+  const url = new URL(window.location.href);
+  for (const key of ["seed", "beam", "mix"]) url.searchParams.delete(key);
+  url.hash = encodeHashState({ controls: readConfig(), seed: sim.sessionSeed, camera: readCamera() });
+  window.history.replaceState(null, "", url);
+}
+
+// Dragging a slider or the camera settles before the URL is rewritten.
+let sessionUrlTimer = 0;
+function scheduleSessionUrl() {
+  clearTimeout(sessionUrlTimer);
+  sessionUrlTimer = setTimeout(writeSessionUrl, 300);
+}
+
+function refreshPresetOptions(selected = presetElements.select?.value) {
+  const select = presetElements.select;
+  if (!select) return;
+  const builtIn = document.createElement("optgroup");
+  builtIn.label = "BUILT-IN";
+  for (const [key, preset] of Object.entries(BUILTIN_PRESETS)) {
+    builtIn.append(new Option(preset.label, `builtin:${key}`));
+  }
+  const saved = document.createElement("optgroup");
+  saved.label = "SAVED";
+  for (const name of presetStore.names) saved.append(new Option(name.toUpperCase(), `saved:${name}`));
+  select.replaceChildren(builtIn, ...(presetStore.names.length ? [saved] : []));
+  if (selected && [...select.options].some((option) => option.value === selected)) select.value = selected;
+  updatePresetButtons();
+}
+
+function updatePresetButtons() {
+  if (presetElements.remove) presetElements.remove.disabled = !presetElements.select?.value.startsWith("saved:");
+}
+
+function loadPreset() {
+  const value = presetElements.select?.value;
+  if (!value) return;
+  const split = value.indexOf(":");
+  const key = value.slice(split + 1);
+  if (value.startsWith("builtin:")) {
+    const preset = BUILTIN_PRESETS[key];
+    applyConfig({ ...defaultConfig, ...preset.controls });
+    logEvent(`PRESET: ${preset.label}`);
+  } else {
+    const preset = presetStore.get(key);
+    if (!preset) return;
+    applyConfig(preset.controls);
+    if (preset.camera) applyCamera(preset.camera);
+    logEvent(`PRESET: ${key.toUpperCase()}`);
+  }
+  scheduleSessionUrl();
+}
+
+function savePreset() {
+  const name = presetElements.name?.value.trim();
+  if (!name) {
+    presetElements.name?.focus();
+    return;
+  }
+  presetStore.save(name, { controls: readConfig(), camera: readCamera() });
+  if (presetElements.name) presetElements.name.value = "";
+  refreshPresetOptions(`saved:${name}`);
+  logEvent(`PRESET SAVED: ${name.toUpperCase()}`);
+}
+
+function deletePreset() {
+  const value = presetElements.select?.value;
+  if (!value?.startsWith("saved:")) return;
+  const name = value.slice("saved:".length);
+  presetStore.remove(name);
+  refreshPresetOptions();
+  logEvent(`PRESET DELETED: ${name.toUpperCase()}`);
+}
+
+async function importPresets(file) {
+  try {
+    const names = presetStore.importJSON(await file.text());
+    refreshPresetOptions(names.length ? `saved:${names[0]}` : undefined);
+    logEvent(`PRESETS IMPORTED: ${names.length}`);
+  } catch (error) {
+    logEvent(`IMPORT FAILED: ${error.message}`);
+  }
+}
+
+async function copySessionLink() {
+  clearTimeout(sessionUrlTimer);
+  writeSessionUrl();
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    logEvent("LINK COPIED");
+  } catch {
+    logEvent("LINK IN ADDRESS BAR");
+  }
+}
+
+function setSessionSeed(seed) {
+  sim.setSeed(seed);
+  scheduleSessionUrl();
+  updateSeedDisplay();
+  logEvent(`SEED SET: ${sim.sessionSeed}`);
+}
+
+function applySeedInput() {
+  const seed = parseSeed(seedInput?.value);
+  if (seed === null) {
+    updateSeedDisplay();
+    return;
+  }
+  setSessionSeed(seed);
+}
+
+function brightnessFactor(particle) {
+  const primaryEnergy = Math.max(particle.shower.energy || 1, 0.5);
+  return shareBrightness(particle.energy / primaryEnergy);
+}
+
+// Brightness for an energy share of the primary, as recordings store it.
+function shareBrightness(share) {
+  return THREE.MathUtils.clamp(0.35 + 0.65 * Math.min(share, 1), 0.35, 1);
+}
+
+// Messages carry names typed by the user or read from files, so they only
+// ever go in as text.
+function logEvent(msg, color = null) {
   if (!logElement) return;
   const line = document.createElement("div");
   line.className = "log-line";
-  line.innerHTML = `>> ${msg}`;
+  line.append(">> ");
+  if (color) {
+    const span = document.createElement("span");
+    span.style.color = color;
+    span.textContent = msg;
+    line.append(span);
+  } else {
+    line.append(msg);
+  }
   logElement.prepend(line);
   while (logElement.children.length > 14) {
     logElement.lastChild?.remove();
@@ -387,359 +1205,1928 @@ function logEvent(msg) {
 }
 
 function recordHit(particle) {
-  if (!hitsActive) return;
-  if (hitCount >= maxHits) {
-    hitPositions.copyWithin(0, 3);
-    hitColors.copyWithin(0, 3);
-    hitEnergies.copyWithin(0, 1);
-    hitCount = maxHits - 1;
-  }
-  const baseIdx = hitCount * 3;
-  hitPositions[baseIdx] = particle.position.x;
+  if (!hitsActive || playback) return;
+  addHitPoint(particle.type, particle.position.x, particle.position.z, brightnessFactor(particle));
+}
+
+function addHitPoint(type, x, z, bright) {
+  const baseIdx = hitHead * 3;
+  hitPositions[baseIdx] = x;
   hitPositions[baseIdx + 1] = ground.position.y + 0.15;
-  hitPositions[baseIdx + 2] = particle.position.z;
-  const palette = paletteCache[particle.type] || paletteCache.proton;
-  const bright = brightnessFactor(particle.energy);
+  hitPositions[baseIdx + 2] = z;
+  const palette = paletteCache[type] || paletteCache.proton;
   hitColors[baseIdx] = palette.r * bright;
   hitColors[baseIdx + 1] = palette.g * bright;
   hitColors[baseIdx + 2] = palette.b * bright;
-  hitEnergies[hitCount] = bright;
-  hitCount += 1;
+  hitEnergies[hitHead] = bright;
+  hitHead = (hitHead + 1) % maxHits;
+  hitCount = Math.min(hitCount + 1, maxHits);
   hitGeometry.setDrawRange(0, hitCount);
   hitGeometry.attributes.position.needsUpdate = true;
   hitGeometry.attributes.color.needsUpdate = true;
   hitGeometry.attributes.energy.needsUpdate = true;
 }
 
-function spawnPrimary(type = primaryTypeSelect?.value || "proton") {
-  const energy = parseFloat(energyRange?.value || "1");
-  const altitude = 70 + (Math.random() - 0.5) * 6;
-  const origin = new THREE.Vector3((Math.random() - 0.5) * 10, altitude, (Math.random() - 0.5) * 10);
-  const opts = { scatter: 0.2, speed: 18 };
-  let energyScale = 1;
-
-  switch (type) {
-    case "gamma":
-      opts.scatter = 0.08;
-      opts.speed = 24;
-      break;
-    case "iron":
-      opts.scatter = 0.25;
-      opts.speed = 20;
-      energyScale = 1.3;
-      break;
-    case "tau":
-      opts.scatter = 0.18;
-      opts.speed = 22;
-      break;
-    case "antiproton":
-      opts.scatter = 0.22;
-      opts.speed = 18;
-      break;
-    default:
-      break;
-  }
-
-  const primary = createParticle(type, origin, energy * energyScale, opts);
-  particles.push(primary);
-
-  if (!cascadeActive) {
-    const palette = paletteCache[type] || paletteCache.proton;
-    const color = `#${palette.getHexString()}`;
-    logEvent(`<span style="color:${color}">DETECTED: ${type.toUpperCase()} @ ${energy.toFixed(1)} TeV</span>`);
-  }
-}
-
-function trimParticles() {
-  if (particles.length <= maxParticles) return;
-  particles.splice(0, particles.length - maxParticles);
-}
-
-function maybeBranch(particle, collector, delta) {
-  const drive = parseFloat(driveRange.value);
-  const baseProbability = 0.02 * drive + 0.015 * Math.min(particle.energy, 3);
-  const chance = Math.min(1, baseProbability * delta);
-  if (Math.random() > chance) return;
-
-  const heightModifier = Math.max(0, Math.min(1, (particle.position.y + 20) / 90));
-  if (Math.random() > 0.7 + 0.3 * heightModifier) return;
-
-  switch (particle.type) {
-    case "proton":
-    case "antiproton":
-    case "iron": {
-      if (particle.age < 0.2) return;
-      collector.push(createParticle("pion", particle.position, particle.energy * 0.7, { scatter: 0.4 }));
-      collector.push(createParticle("pion", particle.position, particle.energy * 0.45, { scatter: 0.65 }));
-      if (Math.random() < 0.5) {
-        collector.push(...createPair(particle, "gamma", "gamma"));
-      }
-      if (particle.type === "iron" && Math.random() < 0.4) {
-        collector.push(createParticle("muon", particle.position, particle.energy * 0.4, { scatter: 0.5, speed: 20 }));
-      }
-      if (particle.type === "antiproton" && Math.random() < 0.35) {
-        collector.push(createParticle("gamma", particle.position, particle.energy * 0.5, { scatter: 0.5, speed: 22 }));
-      }
-      break;
-    }
-    case "gamma": {
-      if (Math.random() < 0.55) {
-        collector.push(...createPair(particle, "electron", "positron"));
-      }
-      break;
-    }
-    case "pion": {
-      if (Math.random() < 0.65) {
-        collector.push(
-          createParticle("muon", particle.position, particle.energy * 0.7, { scatter: 0.25, speed: 19 }),
-        );
-        collector.push(
-          createParticle("neutrino", particle.position, particle.energy * 0.2, {
-            scatter: 0.4,
-            upwardBias: 0.3,
-            speed: 16,
-          }),
-        );
-      }
-      break;
-    }
-    case "tau": {
-      if (particle.age > 0.05) {
-        collector.push(createParticle("muon", particle.position, particle.energy * 0.6, { scatter: 0.3, speed: 20 }));
-        collector.push(createParticle("neutrino", particle.position, particle.energy * 0.25, { scatter: 0.6, speed: 18 }));
-        collector.push(createParticle("pion", particle.position, particle.energy * 0.35, { scatter: 0.6, speed: 18 }));
-      }
-      break;
-    }
-    case "muon": {
-      if (particle.age > 0.4 && Math.random() < 0.45) {
-        collector.push(
-          createParticle("electron", particle.position, particle.energy * 0.5, { scatter: 0.35, speed: 14 }),
-        );
-        collector.push(
-          createParticle("neutrino", particle.position, particle.energy * 0.15, {
-            scatter: 0.5,
-            upwardBias: 0.3,
-            speed: 16,
-          }),
-        );
-      }
-      break;
-    }
-    case "electron":
-    case "positron": {
-      if (Math.random() < 0.3) {
-        collector.push(
-          createParticle("gamma", particle.position, particle.energy * 0.3, { scatter: 0.6, upwardBias: 0.1 }),
-        );
-      }
-      break;
-    }
-    default:
-      break;
+function announcePrimary({ shower, type, energy, seed, replay, auto }) {
+  updateSeedDisplay();
+  if (auto) {
+    injectedSpectrum.fill(energy);
+    spectrumDirty = true;
   }
+  if (auto && !replay) return;
+  const palette = paletteCache[type] || paletteCache.proton;
+  const color = `#${palette.getHexString()}`;
+  const label = replay ? "REPLAY" : "DETECTED";
+  const direction = shower.zenith > 0 ? ` // θ ${shower.zenith.toFixed(0)}° φ ${shower.azimuth.toFixed(0)}°` : "";
+  const summary = `${label}: ${type.toUpperCase()} @ ${energy.toFixed(1)} TeV${direction} // SEED ${seed}`;
+  logEvent(summary, color);
 }
 
-function updateParticles(delta) {
-  const newParticles = [];
-  if (cascadeActive) {
-    const rate = parseFloat(rateRange.value);
-    const interval = 1 / Math.max(rate, 0.1);
-    spawnAccumulator += delta;
-    while (spawnAccumulator >= interval) {
-      spawnAccumulator -= interval;
-      spawnPrimary(primaryTypeSelect.value);
-    }
-  } else {
-    spawnAccumulator = 0;
-  }
-
-  for (let i = particles.length - 1; i >= 0; i -= 1) {
-    const particle = particles[i];
-    particle.update(delta);
-    maybeBranch(particle, newParticles, delta);
-    const shouldDie = particle.shouldExpire();
-    const hitFloor = particle.position.y < ground.position.y + 0.2;
-    if (shouldDie) {
-      if (hitFloor) {
-        recordHit(particle);
-      }
-      particles.splice(i, 1);
-    }
+function announceShowerEnd(shower) {
+  const stats = (speciesStats[shower.type] ||= { showers: 0, muons: 0 });
+  stats.showers += 1;
+  stats.muons += shower.hits.muon || 0;
+  renderSpeciesStats();
+
+  const { ledger } = shower;
+  const species = shower.type.toUpperCase();
+  const muons = shower.hits.muon || 0;
+  const xmax = shower.xmax === null ? "--" : shower.xmax.toFixed(0);
+  if (sim.params.cascade) {
+    // Auto-Cascade keeps one short line per shower: true species, muons and Xmax.
+    logEvent(`SHOWER #${shower.id} ${species} @ ${ledger.injected.toFixed(1)} TeV // μ ${muons} // XMAX ${xmax}`);
+    return;
   }
+  const pct = (value) => `${((value / ledger.injected) * 100).toFixed(0)}%`;
+  const shares = `AIR ${pct(ledger.air)} NU ${pct(ledger.neutrino)} GND ${pct(ledger.ground)}`;
+  logEvent(`SHOWER #${shower.id} ${species} END // ${shares} // μ ${muons} // XMAX ${xmax} g/cm²`);
+}
 
-  if (newParticles.length) {
-    particles.push(...newParticles);
+function renderSpeciesStats() {
+  if (!compositionStatsElement) return;
+  const rows = Object.entries(speciesStats).map(([type, { showers, muons }]) => {
+    const row = document.createElement("div");
+    row.className = "ledger-row";
+    const label = document.createElement("span");
+    label.textContent = type.toUpperCase();
+    const value = document.createElement("span");
+    value.textContent = `${showers} // ${(muons / showers).toFixed(1)}`;
+    row.append(label, value);
+    return row;
+  });
+  if (!rows.length) {
+    const row = document.createElement("div");
+    row.className = "ledger-row";
+    row.innerHTML = "<span>--</span><span>--</span>";
+    rows.push(row);
   }
+  compositionStatsElement.replaceChildren(...rows);
+}
 
-  trimParticles();
+// Points the particle geometry at a position array, reallocating the other
+// attributes when it has grown. The pool replaces its arrays as it grows, and
+// playback draws from its own.
+function bindPointCloud(positions) {
+  if (particleGeometry.attributes.position?.array === positions) return;
+  shadedFrame = null;
+  const capacity = positions.length / 3;
+  if (colors.length < capacity * 3) {
+    colors = new Float32Array(capacity * 3);
+    energies = new Float32Array(capacity);
+  }
+  // Frees the GPU buffers of the replaced arrays.
+  particleGeometry.dispose();
+  particleGeometry.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  particleGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+  particleGeometry.setAttribute("energy", new THREE.BufferAttribute(energies, 1).setUsage(THREE.DynamicDrawUsage));
 }
 
+// Draws the worker's latest frame part way between the positions before and
+// after its last step, by how far the simulation clock has run into the next.
+// Colors only change with a new frame.
 function refreshPointCloud() {
-  const count = particles.length;
-  for (let i = 0; i < count; i += 1) {
-    const particle = particles[i];
-    const idx = i * 3;
-    positions[idx] = particle.position.x;
-    positions[idx + 1] = particle.position.y;
-    positions[idx + 2] = particle.position.z;
-    const palette = paletteCache[particle.type] || paletteCache.proton;
-    const bright = brightnessFactor(particle.energy);
-    colors[idx] = palette.r * bright;
-    colors[idx + 1] = palette.g * bright;
-    colors[idx + 2] = palette.b * bright;
-    energies[i] = bright;
+  const { frame, stepFraction } = sim;
+  if (!frame) return;
+  if (livePositions.length < frame.current.length) livePositions = new Float32Array(frame.current.length);
+  bindPointCloud(livePositions);
+  const { previous, current } = frame;
+  for (let i = 0; i < frame.length * 3; i += 1) {
+    livePositions[i] = previous[i] + (current[i] - previous[i]) * stepFraction;
   }
-  particleGeometry.setDrawRange(0, count);
-  particleGeometry.attributes.position.needsUpdate = true;
-  particleGeometry.attributes.color.needsUpdate = true;
-  particleGeometry.attributes.energy.needsUpdate = true;
-}
-
-function updateStats() {
-  const counts = { muon: 0, gamma: 0, electron: 0, hadrons: 0 };
-  for (const particle of particles) {
-    if (particle.type === "muon") {
-      counts.muon += 1;
-    } else if (particle.type === "gamma") {
-      counts.gamma += 1;
-    } else if (particle.type === "electron" || particle.type === "positron") {
-      counts.electron += 1;
-    } else if (particle.type === "proton" || particle.type === "pion" || particle.type === "iron" || particle.type === "antiproton") {
-      counts.hadrons += 1;
-    } else if (particle.type === "tau") {
-      counts.hadrons += 1;
+  if (shadedFrame !== frame) {
+    shadedFrame = frame;
+    const { species, share } = frame;
+    for (let slot = 0; slot < frame.length; slot += 1) {
+      setPointColor(slot, SPECIES[species[slot]], shareBrightness(share[slot]));
     }
+    if (tracksActive) extendTracks(frame);
   }
+  commitPointCloud(frame.length);
+}
 
-  if (statsElements.muon) statsElements.muon.textContent = counts.muon;
-  if (statsElements.gamma) statsElements.gamma.textContent = counts.gamma;
-  if (statsElements.electron) statsElements.electron.textContent = counts.electron;
-  if (statsElements.hadrons) statsElements.hadrons.textContent = counts.hadrons;
-  if (statsElements.count) statsElements.count.textContent = particles.length;
-}
-
-function drawAxisMini() {
-  if (!axisCtx || !axisCanvas) return;
-  const width = axisCanvas.width;
-  const height = axisCanvas.height;
-  axisCtx.clearRect(0, 0, width, height);
-  axisCtx.fillStyle = "rgba(5,6,12,0.9)";
-  axisCtx.fillRect(0, 0, width, height);
-
-  const centerX = width * 0.3;
-  axisCtx.strokeStyle = accentStrokeStyle;
-  axisCtx.lineWidth = 1;
-  axisCtx.beginPath();
-  axisCtx.moveTo(centerX, 4);
-  axisCtx.lineTo(centerX, height - 4);
-  axisCtx.stroke();
-
-  const ticks = [0, 20, 40, 60, 80];
-  axisCtx.fillStyle = "rgba(255,255,255,0.65)";
-  axisCtx.font = "11px 'Share Tech Mono', monospace";
-  ticks.forEach((value) => {
-    const normalized = (value + 20) / 100;
-    const y = height - normalized * height;
-    axisCtx.beginPath();
-    axisCtx.moveTo(centerX, y);
-    axisCtx.lineTo(centerX - 10, y);
-    axisCtx.stroke();
-    axisCtx.fillText(`${value} km`, centerX + 8, y + 4);
-  });
+function resetTracks() {
+  trackCount = 0;
+  trackHead = 0;
+  trackVersions.fill(0);
+  trackRing.geometry.setDrawRange(0, 0);
+  pinnedShower = null;
+  pinnedCount = 0;
+  pinnedTracks.geometry.setDrawRange(0, 0);
+}
+
+function setTracksActive(active) {
+  tracksActive = active;
+  if (!active) resetTracks();
+  showTracks(active && !playback);
+}
+
+function showTracks(visible) {
+  trackRing.lines.visible = visible;
+  pinnedTracks.lines.visible = visible;
+}
 
-  let drawn = 0;
-  for (let i = particles.length - 1; i >= 0 && drawn < 120; i -= 1) {
-    const particle = particles[i];
-    const palette = paletteCache[particle.type] || paletteCache.proton;
-    const bright = brightnessFactor(particle.energy);
-    const normX = THREE.MathUtils.clamp((particle.position.x + 25) / 50, 0, 1);
-    const normY = THREE.MathUtils.clamp((particle.position.y + 20) / 100, 0, 1);
-    const x = centerX + 6 + normX * (width - centerX - 12);
-    const y = height - normY * height;
-    const r = Math.round(palette.r * 255 * bright);
-    const g = Math.round(palette.g * 255 * bright);
-    const b = Math.round(palette.b * 255 * bright);
-    axisCtx.fillStyle = `rgba(${r},${g},${b},${0.65 + 0.3 * bright})`;
-    axisCtx.fillRect(x, y, 2, 2);
-    drawn += 1;
+// Marks `count` segments from `first` for upload, together with those marked
+// since the last render.
+function markTrackSegments(layer, first, count) {
+  const end = first + count;
+  const { dirty } = layer;
+  layer.dirty = dirty ? { first: Math.min(dirty.first, first), end: Math.max(dirty.end, end) } : { first, end };
+  for (const [name, size] of [["position", 6], ["color", 6], ["time", 2]]) {
+    const attribute = layer.geometry.attributes[name];
+    attribute.updateRange.offset = layer.dirty.first * size;
+    attribute.updateRange.count = (layer.dirty.end - layer.dirty.first) * size;
+    attribute.needsUpdate = true;
   }
 }
 
-function energizeControls() {
-  if (energyValue) energyValue.textContent = parseFloat(energyRange.value).toFixed(1);
-  if (driveValue) driveValue.textContent = parseFloat(driveRange.value).toFixed(2);
-  if (rateValue) rateValue.textContent = parseFloat(rateRange.value).toFixed(2);
+function copyTrackSegment(from, fromIndex, to, toIndex) {
+  to.positions.set(from.positions.subarray(fromIndex * 6, fromIndex * 6 + 6), toIndex * 6);
+  to.colors.set(from.colors.subarray(fromIndex * 6, fromIndex * 6 + 6), toIndex * 6);
+  to.times.set(from.times.subarray(fromIndex * 2, fromIndex * 2 + 2), toIndex * 2);
 }
 
-function onResize() {
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
+// Claims the ring's next segment for a shower, overwriting the oldest once
+// the ring is full. Returns its index.
+function nextRingSegment(showerId) {
+  const index = trackHead;
+  trackShowers[index] = showerId;
+  trackHead = (trackHead + 1) % maxTrackSegments;
+  trackCount = Math.min(trackCount + 1, maxTrackSegments);
+  return index;
 }
 
-burstButton?.addEventListener("click", () => spawnPrimary(primaryTypeSelect.value));
-cascadeToggle?.addEventListener("change", () => {
-  cascadeActive = cascadeToggle.checked;
-  if (cascadeActive) {
-    spawnAccumulator = 0;
-    spawnPrimary(primaryTypeSelect.value);
+// Pins the tracks of one shower by id, after releasing those pinned before:
+// the segments it still has in the ring move to the pinned buffer, and its
+// new ones go there as well. With null nothing is pinned until the next
+// shower starts (see pinNewShower).
+function pinTracks(showerId) {
+  releaseTracks();
+  pinnedShower = showerId;
+  if (showerId !== null) {
+    const oldest = trackCount < maxTrackSegments ? 0 : trackHead;
+    for (let i = 0; i < trackCount && pinnedCount < maxPinnedSegments; i += 1) {
+      const index = (oldest + i) % maxTrackSegments;
+      if (trackShowers[index] !== showerId) continue;
+      copyTrackSegment(trackRing, index, pinnedTracks, pinnedCount);
+      trackRing.times.fill(TRACK_GONE, index * 2, index * 2 + 2);
+      trackShowers[index] = 0;
+      pinnedCount += 1;
+    }
+    markTrackSegments(trackRing, 0, trackCount);
+    markTrackSegments(pinnedTracks, 0, pinnedCount);
   }
-});
-hitToggle?.addEventListener("change", () => {
-  hitsActive = hitToggle.checked;
-});
-clearButton?.addEventListener("click", clearSky);
-pauseButton?.addEventListener("click", togglePause);
-clearHitsButton?.addEventListener("click", clearHits);
-primaryTypeSelect?.addEventListener("change", () => setAccentTargets(primaryTypeSelect.value));
+  pinnedTracks.geometry.setDrawRange(0, pinnedCount * 2);
+}
 
-energyRange?.addEventListener("input", () => energyValue && (energyValue.textContent = parseFloat(energyRange.value).toFixed(1)));
-driveRange?.addEventListener("input", () => driveValue && (driveValue.textContent = parseFloat(driveRange.value).toFixed(2)));
-rateRange?.addEventListener("input", () => rateValue && (rateValue.textContent = parseFloat(rateRange.value).toFixed(2)));
+// Lets the pinned tracks go back into the ring, where they fade out over the
+// trail length from now, like the shower's next segments.
+function releaseTracks() {
+  const start = trackHead;
+  for (let i = 0; i < pinnedCount; i += 1) {
+    const index = nextRingSegment(pinnedShower);
+    copyTrackSegment(pinnedTracks, i, trackRing, index);
+    trackRing.times.fill(sim.time, index * 2, index * 2 + 2);
+  }
+  if (start + pinnedCount > maxTrackSegments) markTrackSegments(trackRing, 0, maxTrackSegments);
+  else markTrackSegments(trackRing, start, pinnedCount);
+  trackRing.geometry.setDrawRange(0, trackCount * 2);
+  pinnedShower = null;
+  pinnedCount = 0;
+  pinnedTracks.geometry.setDrawRange(0, 0);
+}
 
-window.addEventListener("resize", onResize);
-window.addEventListener("keydown", (event) => {
-  const tag = event.target instanceof HTMLElement ? event.target.tagName.toLowerCase() : "";
-  const interactingWithInput = tag === "input" || tag === "select" || tag === "textarea";
-  if (event.code === "Space") {
-    if (!interactingWithInput) {
-      event.preventDefault();
-      togglePause();
+// Freeze Tracks pins the inspected particle's shower, or else the latest.
+function setTracksFrozen(frozen) {
+  if (frozen) pinTracks(selectedParticle?.shower?.id ?? sim.showers.at(-1)?.id ?? null);
+  else releaseTracks();
+}
+
+// With Freeze Tracks on and nothing pinned yet, the next shower is.
+function pinNewShower({ shower }) {
+  if (freezeToggle?.checked && pinnedShower === null) pinTracks(shower.id);
+}
+
+// Adds a segment to every particle's track whose last point is at least
+// TRACK_INTERVAL old, from that point to where the particle is now. A new
+// particle's track starts where it was before the last step. Segments of the
+// pinned shower go to the pinned buffer while it has room.
+function extendTracks(frame) {
+  const { previous, current, handles, versions, species, share, slotShowers } = frame;
+  const now = sim.time;
+  const start = trackHead;
+  const pinnedStart = pinnedCount;
+  let wrapped = false;
+  for (let slot = 0; slot < frame.length; slot += 1) {
+    const handle = handles[slot];
+    if (handle >= trackVersions.length) growTrackHandles(handle + 1);
+    const p = slot * 3;
+    const q = handle * 3;
+    if (trackVersions[handle] !== versions[slot] + 1) {
+      trackVersions[handle] = versions[slot] + 1;
+      trackLastTimes[handle] = now;
+      trackLastPoints.set(previous.subarray(p, p + 3), q);
+    } else if (now - trackLastTimes[handle] < TRACK_INTERVAL) {
+      continue;
     }
-    return;
+    let layer = trackRing;
+    let index;
+    if (slotShowers[slot] === pinnedShower && pinnedCount < maxPinnedSegments) {
+      layer = pinnedTracks;
+      index = pinnedCount;
+      pinnedCount += 1;
+    } else {
+      index = nextRingSegment(slotShowers[slot]);
+      if (trackHead === 0) wrapped = true;
+    }
+    const base = index * 6;
+    layer.positions.set(trackLastPoints.subarray(q, q + 3), base);
+    layer.positions.set(current.subarray(p, p + 3), base + 3);
+    const palette = paletteCache[SPECIES[species[slot]]] || paletteCache.proton;
+    const bright = shareBrightness(share[slot]);
+    for (let k = 0; k < 6; k += 3) {
+      layer.colors[base + k] = palette.r * bright;
+      layer.colors[base + k + 1] = palette.g * bright;
+      layer.colors[base + k + 2] = palette.b * bright;
+    }
+    layer.times[index * 2] = trackLastTimes[handle];
+    layer.times[index * 2 + 1] = now;
+    trackLastTimes[handle] = now;
+    trackLastPoints.set(current.subarray(p, p + 3), q);
   }
-  const key = event.key.toLowerCase();
-  if (interactingWithInput) return;
-  if (key === "r") {
-    event.preventDefault();
-    clearAll();
-  } else if (key === "f") {
-    event.preventDefault();
-    spawnPrimary(primaryTypeSelect?.value || "proton");
+  if (pinnedCount > pinnedStart) {
+    markTrackSegments(pinnedTracks, pinnedStart, pinnedCount - pinnedStart);
+    pinnedTracks.geometry.setDrawRange(0, pinnedCount * 2);
   }
-});
+  if (trackHead === start && !wrapped) return;
+  // Uploads only the segments written, unless the ring wrapped around.
+  if (wrapped) markTrackSegments(trackRing, 0, maxTrackSegments);
+  else markTrackSegments(trackRing, start, trackHead - start);
+  trackRing.geometry.setDrawRange(0, trackCount * 2);
+}
 
-function animate() {
-  const rawDelta = clock.getDelta();
-  updateAccent(rawDelta);
-  controls.update();
-  if (!isPaused) {
-    const delta = Math.min(rawDelta, 0.045);
-    updateParticles(delta);
-  }
-  refreshPointCloud();
-  updateStats();
-  drawAxisMini();
-  if (sysTime) {
-    const now = new Date();
-    sysTime.textContent = now.toLocaleTimeString("en-GB");
+function growTrackHandles(capacity) {
+  const size = Math.max(capacity, trackVersions.length * 2, 1024);
+  const versions = new Uint32Array(size);
+  versions.set(trackVersions);
+  const times = new Float64Array(size);
+  times.set(trackLastTimes);
+  const points = new Float32Array(size * 3);
+  points.set(trackLastPoints);
+  trackVersions = versions;
+  trackLastTimes = times;
+  trackLastPoints = points;
+}
+
+function setPointColor(i, type, bright) {
+  const idx = i * 3;
+  const palette = paletteCache[type] || paletteCache.proton;
+  colors[idx] = palette.r * bright;
+  colors[idx + 1] = palette.g * bright;
+  colors[idx + 2] = palette.b * bright;
+  energies[i] = bright;
+}
+
+// Uploads only the live part of the buffers.
+function commitPointCloud(count) {
+  particleGeometry.setDrawRange(0, count);
+  for (const name of ["position", "color", "energy"]) {
+    const attribute = particleGeometry.attributes[name];
+    attribute.updateRange.count = count * attribute.itemSize;
+    attribute.needsUpdate = true;
   }
-  renderer.render(scene, camera);
-  requestAnimationFrame(animate);
 }
 
-setAccentTargets(primaryTypeSelect?.value || "proton", true);
-setPaused(false);
-energizeControls();
+function updateStats(counts = sim.counts()) {
+  if (statsElements.muon) statsElements.muon.textContent = counts.muon;
+  if (statsElements.gamma) statsElements.gamma.textContent = counts.gamma;
+  if (statsElements.electron) statsElements.electron.textContent = counts.electron;
+  if (statsElements.hadrons) statsElements.hadrons.textContent = counts.hadrons;
+  if (statsElements.muonCharge) statsElements.muonCharge.textContent = `${counts.muonPlus} / ${counts.muonMinus}`;
+  if (statsElements.count) statsElements.count.textContent = counts.total;
+  if (statsElements.dropped) statsElements.dropped.textContent = playback ? "--" : sim.droppedParticles;
+  if (hitExportElements.count) hitExportElements.count.textContent = hitLog.size;
+}
+
+function readFieldInputs() {
+  return {
+    strength: parseFloat(fieldInputs.strength?.value || "0"),
+    inclination: parseFloat(fieldInputs.inclination?.value || "0"),
+    declination: parseFloat(fieldInputs.declination?.value || "0"),
+  };
+}
+
+function applyField(field) {
+  sim.setParams({ field });
+  for (const key in fieldLabels) {
+    if (fieldLabels[key]) fieldLabels[key].textContent = field[key].toFixed(1);
+  }
+  const vector = fieldVector(field);
+  fieldArrow.visible = field.strength > 0;
+  if (fieldArrow.visible) {
+    fieldArrow.setDirection(new THREE.Vector3(vector.x, vector.y, vector.z).normalize());
+  }
+}
+
+function selectFieldPreset(key) {
+  const preset = fieldPresets[key];
+  if (!preset) return;
+  for (const name in fieldInputs) {
+    if (fieldInputs[name]) fieldInputs[name].value = String(preset[name]);
+  }
+  applyField(readFieldInputs());
+  if (key !== "off") logEvent(`FIELD: ${preset.label} // ${preset.strength.toFixed(1)} µT`);
+}
+
+function buildStations() {
+  if (stationMesh) {
+    scene.remove(stationMesh);
+    stationMesh.geometry.dispose();
+    stationMesh.material.dispose();
+  }
+  const radius = array.collectRadius;
+  stationMesh = new THREE.InstancedMesh(
+    new THREE.CylinderGeometry(radius, radius, 0.3, 20),
+    new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.55, depthWrite: false }),
+    array.stations.length,
+  );
+  const matrix = new THREE.Matrix4();
+  array.stations.forEach((station, i) => {
+    stationMesh.setMatrixAt(i, matrix.makeTranslation(station.x, GROUND_LEVEL + 0.15, station.z));
+    stationMesh.setColorAt(i, stationIdleColor);
+  });
+  stationMesh.instanceMatrix.needsUpdate = true;
+  stationMesh.instanceColor.needsUpdate = true;
+  scene.add(stationMesh);
+}
+
+function disposeMesh(mesh) {
+  mesh.geometry.dispose();
+  mesh.material.dispose();
+}
+
+function buildDetectorMeshes() {
+  for (const { mesh, shield } of detectorMeshes.values()) {
+    disposeMesh(mesh);
+    if (shield) disposeMesh(shield);
+  }
+  detectorGroup.clear();
+  detectorMeshes.clear();
+  for (const detector of detectors.detectors) {
+    const { buried } = DETECTOR_KINDS[detector.kind];
+    const side = detector.size / KM_PER_UNIT;
+    const depth = detector.thickness * DETECTOR_DEPTH_SCALE;
+    const geometry =
+      detector.kind === "tank"
+        ? new THREE.CylinderGeometry(side / 2, side / 2, 0.8, 24)
+        : new THREE.BoxGeometry(side, detector.kind === "slab" ? 0.3 : 0.8, side);
+    geometry.computeBoundingBox();
+    const height = geometry.boundingBox.max.y * 2;
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({ color: detectorColors[detector.kind], transparent: true, opacity: 0.5 }),
+    );
+    // Surface detectors sit on the ground under their absorber; buried ones
+    // under the ground and their absorber.
+    const base = buried ? GROUND_LEVEL - depth - height : GROUND_LEVEL;
+    mesh.position.set(detector.x / KM_PER_UNIT, base + height / 2, detector.z / KM_PER_UNIT);
+    detectorGroup.add(mesh);
+    let shield = null;
+    if (depth > 0) {
+      shield = new THREE.Mesh(
+        new THREE.BoxGeometry(side, depth, side),
+        new THREE.MeshBasicMaterial({ color: 0x5a5a5a, transparent: true, opacity: 0.22, depthWrite: false }),
+      );
+      const top = buried ? GROUND_LEVEL : GROUND_LEVEL + height + depth;
+      shield.position.set(mesh.position.x, top - depth / 2, mesh.position.z);
+      detectorGroup.add(shield);
+    }
+    detectorMeshes.set(detector.id, { mesh, shield, flash: 0 });
+  }
+}
+
+function detectorLabel(detector) {
+  const { short } = DETECTOR_KINDS[detector.kind];
+  const cover = detector.thickness ? ` ${detector.thickness} m ${ABSORBERS[detector.absorber].label}` : "";
+  return `#${detector.id} ${short}${cover}`;
+}
+
+function refreshDetectorList() {
+  if (!detectorListSelect) return;
+  const options = detectors.detectors.map((detector) => new Option(detectorLabel(detector), String(detector.id)));
+  detectorListSelect.replaceChildren(...options);
+  if (detectorRemoveButton) detectorRemoveButton.disabled = !options.length;
+}
+
+// Reads the placement inputs, updating their labels.
+function readDetectorInputs() {
+  const values = {};
+  for (const key in detectorLabels) {
+    values[key] = parseFloat(detectorInputs[key]?.value || "0");
+    if (detectorLabels[key]) detectorLabels[key].textContent = values[key].toFixed(1);
+  }
+  return values;
+}
+
+// A new detector kind brings its default absorber.
+function selectDetectorKind() {
+  const spec = DETECTOR_KINDS[detectorInputs.kind?.value];
+  if (!spec) return;
+  if (detectorInputs.absorber) detectorInputs.absorber.value = spec.absorber;
+  if (detectorInputs.thickness) detectorInputs.thickness.value = String(spec.thickness);
+  readDetectorInputs();
+}
+
+function placeDetector() {
+  const { thickness, east, north, size } = readDetectorInputs();
+  const detector = detectors.add({
+    kind: detectorInputs.kind?.value || "slab",
+    x: east,
+    z: -north,
+    size,
+    absorber: detectorInputs.absorber?.value || "none",
+    thickness,
+  });
+  buildDetectorMeshes();
+  refreshDetectorList();
+  detectorStatsDirty = true;
+  scheduleSessionUrl();
+  logEvent(`DETECTOR PLACED: ${detectorLabel(detector)} @ E ${east.toFixed(1)} N ${north.toFixed(1)} km`);
+}
+
+function removeDetector() {
+  const id = Number(detectorListSelect?.value);
+  if (!id) return;
+  detectors.remove(id);
+  buildDetectorMeshes();
+  refreshDetectorList();
+  detectorStatsDirty = true;
+  scheduleSessionUrl();
+}
+
+function recordDetectors(particle) {
+  const registered = detectors.record(particle);
+  for (const detector of registered) {
+    const entry = detectorMeshes.get(detector.id);
+    if (entry) entry.flash = 1;
+  }
+  detectorStatsDirty = true;
+}
+
+function fadeDetectors(delta) {
+  for (const entry of detectorMeshes.values()) {
+    if (!entry.flash) continue;
+    entry.flash = Math.max(0, entry.flash - delta * 3);
+    entry.mesh.material.opacity = 0.5 + 0.5 * entry.flash;
+  }
+}
+
+// Particles each detector registered per group, and how many its absorber stopped.
+function renderDetectorStats() {
+  if (!detectorStatsElement || !detectorStatsDirty) return;
+  detectorStatsDirty = false;
+  const rows = detectors.detectors.map((detector) => {
+    const { registered, absorbed } = detector;
+    const row = document.createElement("div");
+    row.className = "ledger-row";
+    const label = document.createElement("span");
+    label.textContent = detectorLabel(detector);
+    const value = document.createElement("span");
+    const stopped = Object.values(absorbed).reduce((sum, count) => sum + count, 0);
+    const seen = `μ${registered.muon} e${registered.electron} γ${registered.gamma} h${registered.hadron}`;
+    value.textContent = `${seen} // ${stopped}`;
+    row.append(label, value);
+    return row;
+  });
+  if (!rows.length) {
+    const row = document.createElement("div");
+    row.className = "ledger-row";
+    row.innerHTML = "<span>--</span><span>--</span>";
+    rows.push(row);
+  }
+  detectorStatsElement.replaceChildren(...rows);
+}
+
+// Sends the telescope settings to the simulation, or removes the telescope
+// when it is switched off, and places its marker.
+function applyTelescope() {
+  const values = {};
+  for (const key in telescopeLabels) {
+    values[key] = parseFloat(telescopeInputs[key]?.value || "0");
+    if (telescopeLabels[key]) telescopeLabels[key].textContent = values[key].toFixed(1);
+  }
+  const active = Boolean(telescopeToggle?.checked);
+  telescopeMarker.visible = active;
+  telescopeDrawn = null;
+  if (!active) {
+    sim.setTelescope(null);
+    return;
+  }
+  const config = {
+    x: values.east,
+    z: -values.north,
+    elevation: values.elevation,
+    azimuth: values.azimuth,
+    fov: values.fov,
+  };
+  sim.setTelescope(config);
+  telescopeMarker.position.set(config.x / KM_PER_UNIT, GROUND_LEVEL, config.z / KM_PER_UNIT);
+  const axis = arrivalVector(90 - config.elevation, config.azimuth);
+  telescopeAxis.setDirection(new THREE.Vector3(axis.x, axis.y, axis.z));
+}
+
+// The camera image: each pixel's light relative to the brightest, square-root
+// scaled, Cherenkov in blue and fluorescence in violet.
+function drawTelescope() {
+  const { canvas, photons } = telescopeElements;
+  const image = sim.telescope;
+  const light = telescopeElements.light?.value || "both";
+  if (!telescopeCtx || !canvas) return;
+  if (telescopeDrawn?.image === image && telescopeDrawn.light === light) return;
+  telescopeDrawn = { image, light };
+  telescopeCtx.fillStyle = "rgba(5,6,12,0.9)";
+  telescopeCtx.fillRect(0, 0, canvas.width, canvas.height);
+  if (!image) {
+    if (photons) photons.textContent = telescopeToggle?.checked ? "--" : "OFF";
+    return;
+  }
+  const { pixels } = image.config;
+  const kinds = light === "both" ? ["cherenkov", "fluorescence"] : [light];
+  const peaks = {};
+  for (const kind of kinds) peaks[kind] = image[kind].reduce((peak, value) => Math.max(peak, value), 0) || 1;
+  const size = canvas.width / pixels;
+  const color = new THREE.Color();
+  for (let pixel = 0; pixel < pixels * pixels; pixel += 1) {
+    color.setRGB(0, 0, 0);
+    for (const kind of kinds) {
+      const level = Math.sqrt(image[kind][pixel] / peaks[kind]);
+      if (level > 0) color.add(telescopeColors[kind].clone().multiplyScalar(level));
+    }
+    if (!color.r && !color.g && !color.b) continue;
+    telescopeCtx.fillStyle = colorToRgba(color, 1);
+    telescopeCtx.fillRect((pixel % pixels) * size, Math.floor(pixel / pixels) * size, size - 1, size - 1);
+  }
+  if (photons) {
+    const total = kinds.reduce((sum, kind) => sum + image.photons[kind], 0);
+    photons.textContent = `${total.toExponential(1)} γ`;
+  }
+}
+
+function applyArray() {
+  const config = { layout: arrayInputs.layout?.value || "hex" };
+  for (const key in arrayLabels) {
+    config[key] = parseFloat(arrayInputs[key]?.value || "0");
+    if (arrayLabels[key]) arrayLabels[key].textContent = config[key].toFixed(arrayDigits[key]);
+  }
+  array.configure(config);
+  buildStations();
+  for (const marker of [trueCoreMarker, recoCoreMarker, trueAxisArrow, recoAxisArrow]) marker.visible = false;
+}
+
+function formatCore(core) {
+  if (!core) return "--";
+  return `E ${(core.x * KM_PER_UNIT).toFixed(2)} N ${(-core.z * KM_PER_UNIT).toFixed(2)} km`;
+}
+
+function formatDirection(direction) {
+  if (!direction) return "--";
+  return `θ ${direction.zenith.toFixed(1)}° φ ${direction.azimuth.toFixed(1)}°`;
+}
+
+function placeEventMarkers(core, direction, marker, arrow) {
+  marker.visible = Boolean(core);
+  arrow.visible = Boolean(core && direction);
+  if (!core) return;
+  marker.position.x = core.x;
+  marker.position.z = core.z;
+  if (!direction) return;
+  const source = arrivalVector(direction.zenith, direction.azimuth);
+  arrow.position.set(core.x, GROUND_LEVEL + 0.3, core.z);
+  arrow.setDirection(new THREE.Vector3(source.x, source.y, source.z));
+}
+
+// Lights up the stations of a triggered event and compares its
+// reconstruction with the true shower.
+function showArrayEvent(event) {
+  const { threshold } = array.config;
+  if (stationMesh) {
+    for (let i = 0; i < array.stations.length; i += 1) stationMesh.setColorAt(i, stationIdleColor);
+    const palette = paletteCache[event.type] || paletteCache.proton;
+    const peak = Math.max(...event.stations.map((reading) => reading.count));
+    const color = new THREE.Color();
+    for (const { station, count } of event.stations) {
+      const level = count >= threshold ? 0.4 + (0.6 * Math.log1p(count)) / Math.log1p(peak) : 0.2;
+      stationMesh.setColorAt(station.id, color.copy(palette).multiplyScalar(level));
+    }
+    stationMesh.instanceColor.needsUpdate = true;
+  }
+  placeEventMarkers(event.trueCore, event.trueDirection, trueCoreMarker, trueAxisArrow);
+  placeEventMarkers(event.core, event.direction, recoCoreMarker, recoAxisArrow);
+
+  const triggered = event.stations.filter((reading) => reading.count >= threshold).length;
+  if (recoElements.event) recoElements.event.textContent = `#${event.shower} ${event.type.toUpperCase()}`;
+  if (recoElements.stations) recoElements.stations.textContent = `${triggered} TRIG // ${event.stations.length} HIT`;
+  if (recoElements.trueCore) recoElements.trueCore.textContent = formatCore(event.trueCore);
+  if (recoElements.core) recoElements.core.textContent = formatCore(event.core);
+  if (recoElements.trueDirection) recoElements.trueDirection.textContent = formatDirection(event.trueDirection);
+  if (recoElements.direction) recoElements.direction.textContent = formatDirection(event.direction);
+  if (recoElements.error) {
+    const coreError = event.coreError === null ? "--" : `${event.coreError.toFixed(2)} km`;
+    const angleError = event.angleError === null ? "--" : `${event.angleError.toFixed(1)}°`;
+    recoElements.error.textContent = `${coreError} // ${angleError}`;
+  }
+}
+
+function reconstructShower(shower) {
+  const event = array.reconstruct(shower);
+  if (!event?.triggered) return;
+  showArrayEvent(event);
+  if (sim.params.cascade) return;
+  const core = event.coreError === null ? "" : ` // ΔCORE ${event.coreError.toFixed(2)} km`;
+  const angle = event.angleError === null ? "" : ` Δψ ${event.angleError.toFixed(1)}°`;
+  logEvent(`ARRAY #${event.shower} // ${event.stations.length} STATIONS${core}${angle}`);
+}
+
+function selectedLateral() {
+  const value = lateralSelect?.value || "latest";
+  if (value !== "latest" && lateralHistory.has(Number(value))) return lateralHistory.get(Number(value));
+  let latest = null;
+  for (const distribution of lateralHistory.values()) latest = distribution;
+  return latest;
+}
+
+function refreshLateralOptions() {
+  if (!lateralSelect) return;
+  const current = lateralSelect.value;
+  const options = [new Option("LATEST SHOWER", "latest")];
+  for (const { shower } of [...lateralHistory.values()].reverse()) {
+    options.push(new Option(`#${shower.id} ${shower.type.toUpperCase()} ${shower.energy.toFixed(1)} TeV`, shower.id));
+  }
+  lateralSelect.replaceChildren(...options);
+  lateralSelect.value = lateralHistory.has(Number(current)) ? current : "latest";
+}
+
+function trackLateral({ shower }) {
+  lateralHistory.set(shower.id, new LateralDistribution(shower));
+  if (lateralHistory.size > MAX_LATERAL_HISTORY) lateralHistory.delete(lateralHistory.keys().next().value);
+  refreshLateralOptions();
+  lateralDirty = true;
+}
+
+function fillLateral(particle) {
+  const distribution = lateralHistory.get(particle.shower.id);
+  if (!distribution) return;
+  distribution.fill(particle);
+  if (distribution === selectedLateral()) lateralDirty = true;
+}
+
+// Densities per species group on log-log axes with the NKG fit to e±.
+function drawLateral() {
+  if (!lateralCtx || !lateralCanvas || !lateralDirty) return;
+  lateralDirty = false;
+  const width = lateralCanvas.width;
+  const height = lateralCanvas.height;
+  const pad = 16;
+  lateralCtx.clearRect(0, 0, width, height);
+  lateralCtx.fillStyle = "rgba(5,6,12,0.9)";
+  lateralCtx.fillRect(0, 0, width, height);
+  const distribution = selectedLateral();
+  if (lateralExportButton) lateralExportButton.disabled = !distribution?.total;
+  if (!distribution) {
+    if (lateralFitLabel) lateralFitLabel.textContent = "--";
+    return;
+  }
+
+  const fit = distribution.fitNKG();
+  if (lateralFitLabel) {
+    lateralFitLabel.textContent = fit ? `N ${fit.size.toExponential(1)} // s ${fit.age.toFixed(2)}` : "--";
+  }
+  const densities = {};
+  let low = Infinity;
+  let high = 0;
+  for (const group in SPECIES_GROUPS) {
+    densities[group] = distribution.densities(group);
+    for (const value of densities[group]) {
+      if (value > 0) {
+        low = Math.min(low, value);
+        high = Math.max(high, value);
+      }
+    }
+  }
+  if (!high) return;
+  const top = Math.ceil(Math.log10(high));
+  const bottom = Math.min(top - 1, Math.floor(Math.log10(low)));
+  const logMin = Math.log10(distribution.min);
+  const logMax = Math.log10(distribution.max);
+  const toX = (r) => pad + ((Math.log10(r) - logMin) / (logMax - logMin)) * (width - pad * 2);
+  const toY = (rho) => height - pad - ((Math.log10(rho) - bottom) / (top - bottom)) * (height - pad * 2);
+
+  lateralCtx.strokeStyle = "rgba(255,255,255,0.08)";
+  lateralCtx.lineWidth = 1;
+  for (let decade = bottom; decade <= top; decade += 1) {
+    const y = toY(10 ** decade);
+    lateralCtx.beginPath();
+    lateralCtx.moveTo(pad, y);
+    lateralCtx.lineTo(width - pad, y);
+    lateralCtx.stroke();
+  }
+
+  for (const group in SPECIES_GROUPS) {
+    const palette = paletteCache[lateralColors[group]] || paletteCache.proton;
+    lateralCtx.fillStyle = `#${palette.getHexString()}`;
+    densities[group].forEach((rho, i) => {
+      if (!(rho > 0)) return;
+      const r = Math.sqrt(distribution.edge(i) * distribution.edge(i + 1));
+      lateralCtx.fillRect(toX(r) - 2, toY(rho) - 2, 4, 4);
+    });
+  }
+
+  if (fit) {
+    lateralCtx.strokeStyle = "rgba(255,255,255,0.75)";
+    lateralCtx.beginPath();
+    let started = false;
+    for (let i = 0; i <= 60; i += 1) {
+      const r = distribution.min * (distribution.max / distribution.min) ** (i / 60);
+      const rho = nkgDensity(r, fit.size, fit.age, fit.moliere);
+      if (!(rho > 0)) continue;
+      const y = Math.min(height - pad, Math.max(pad, toY(rho)));
+      if (started) lateralCtx.lineTo(toX(r), y);
+      else lateralCtx.moveTo(toX(r), y);
+      started = true;
+    }
+    lateralCtx.stroke();
+  }
+
+  lateralCtx.fillStyle = "rgba(255,255,255,0.65)";
+  lateralCtx.font = "11px 'Share Tech Mono', monospace";
+  lateralCtx.fillText(`1e${top}`, 2, pad - 4);
+  lateralCtx.fillText(`1e${bottom}`, 2, height - 4);
+  lateralCtx.fillText(String(distribution.min), pad + 24, height - 4);
+  const maxLabel = String(distribution.max);
+  lateralCtx.fillText(maxLabel, width - pad - lateralCtx.measureText(maxLabel).width, height - 4);
+}
+
+function downloadText(filename, text, type = "text/csv") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function refreshHitShowerOptions() {
+  const select = hitExportElements.shower;
+  if (!select) return;
+  const current = select.value;
+  const options = [new Option("ALL SHOWERS", "all")];
+  for (const shower of [...sim.showers].reverse()) {
+    options.push(new Option(`#${shower.id} ${shower.type.toUpperCase()} ${shower.energy.toFixed(1)} TeV`, shower.id));
+  }
+  select.replaceChildren(...options);
+  select.value = sim.showers.some((shower) => String(shower.id) === current) ? current : "all";
+}
+
+// Downloads the logged hits that pass the species and shower filters, with
+// the run's seed and parameters in the header.
+function exportHits() {
+  const group = hitExportElements.species?.value || "all";
+  const shower = hitExportElements.shower?.value || "all";
+  const filter = {
+    species: group === "all" ? null : SPECIES_GROUPS[group],
+    shower: shower === "all" ? null : Number(shower),
+  };
+  const meta = {
+    generator: "CosmicRaySimulator",
+    exportedAt: new Date().toISOString(),
+    sessionSeed: sim.sessionSeed,
+    simTime: sim.time,
+    params: sim.params,
+  };
+  const suffix = `${group === "all" ? "" : `-${group}`}${filter.shower === null ? "" : `-shower-${filter.shower}`}`;
+  const name = `hits-seed-${sim.sessionSeed}${suffix}`;
+  if (hitExportElements.format?.value === "json") {
+    downloadText(`${name}.json`, hitLog.toJSON(meta, filter), "application/json");
+  } else {
+    downloadText(`${name}.csv`, hitLog.toCSV(meta, filter));
+  }
+  logEvent(`HITS EXPORTED: ${name}`);
+}
+
+// Keys of a history sample drawn in each series mode; the ratio is one line.
+function historyKeys(series) {
+  if (series === "ratio") return ["muonElectronRatio"];
+  const groups = Object.keys(SPECIES_GROUPS);
+  return series === "ground" ? groups.map((group) => `ground${group[0].toUpperCase()}${group.slice(1)}`) : groups;
+}
+
+function drawHistory() {
+  const { canvas } = historyElements;
+  if (!historyCtx || !canvas || !historyDirty) return;
+  historyDirty = false;
+  const width = canvas.width;
+  const height = canvas.height;
+  const pad = 16;
+  historyCtx.clearRect(0, 0, width, height);
+  historyCtx.fillStyle = "rgba(5,6,12,0.9)";
+  historyCtx.fillRect(0, 0, width, height);
+  const { samples } = telemetry;
+  if (historyElements.samples) historyElements.samples.textContent = samples.length;
+  if (!samples.length) {
+    if (historyElements.scale) historyElements.scale.textContent = "--";
+    return;
+  }
+
+  const series = historyElements.series?.value || "live";
+  const keys = historyKeys(series);
+  const latest = samples.at(samples.length - 1).time;
+  const spanValue = historyElements.span?.value || "120";
+  const span = spanValue === "all" ? latest - samples.at(0).time : Number(spanValue);
+  const earliest = latest - Math.max(span, telemetry.interval);
+  let first = samples.length - 1;
+  while (first > 0 && samples.at(first - 1).time >= earliest) first -= 1;
+  let peak = 0;
+  for (let index = first; index < samples.length; index += 1) {
+    const sample = samples.at(index);
+    for (const key of keys) peak = Math.max(peak, sample[key] ?? 0);
+  }
+  const top = peak > 0 ? peak * 1.1 : 1;
+  const toX = (time) => pad + ((time - earliest) / (latest - earliest || 1)) * (width - pad * 2);
+  const toY = (value) => height - pad - (value / top) * (height - pad * 2);
+
+  historyCtx.lineWidth = 1.25;
+  keys.forEach((key, k) => {
+    const group = Object.keys(SPECIES_GROUPS)[k];
+    const palette = paletteCache[lateralColors[group]] || paletteCache.proton;
+    historyCtx.strokeStyle = series === "ratio" ? accentStrokeStyle : colorToRgba(palette, 0.85);
+    historyCtx.beginPath();
+    let started = false;
+    for (let index = first; index < samples.length; index += 1) {
+      const sample = samples.at(index);
+      const value = sample[key];
+      // The ratio has gaps where there were no electrons.
+      if (value === null) {
+        started = false;
+        continue;
+      }
+      if (started) historyCtx.lineTo(toX(sample.time), toY(value));
+      else historyCtx.moveTo(toX(sample.time), toY(value));
+      started = true;
+    }
+    historyCtx.stroke();
+  });
+
+  historyCtx.fillStyle = "rgba(255,255,255,0.65)";
+  historyCtx.font = "11px 'Share Tech Mono', monospace";
+  historyCtx.fillText(`${earliest.toFixed(0)}`, pad, height - 2);
+  const latestLabel = latest.toFixed(0);
+  historyCtx.fillText(latestLabel, width - pad - historyCtx.measureText(latestLabel).width, height - 2);
+  if (historyElements.scale) {
+    historyElements.scale.textContent = series === "ratio" ? `MAX ${peak.toFixed(2)}` : `MAX ${peak}`;
+  }
+  if (historyElements.window) {
+    historyElements.window.textContent = `T [s] // ${keys.length > 1 ? "BY SPECIES" : "μ / e"}`;
+  }
+}
+
+function sampleTelemetry() {
+  if (telemetry.sample(sim.time, sim.counts())) historyDirty = true;
+}
+
+function recordShowerSummary(shower) {
+  telemetry.recordShower(shower);
+  renderShowerTable();
+}
+
+// Latest finished showers, newest first.
+function renderShowerTable() {
+  const { table, tableCount } = historyElements;
+  const { showers } = telemetry;
+  if (tableCount) tableCount.textContent = showers.length + showers.dropped;
+  if (!table) return;
+  const rows = [];
+  for (let index = showers.length - 1; index >= Math.max(0, showers.length - SHOWER_TABLE_ROWS); index -= 1) {
+    const summary = showers.at(index);
+    const cells = [
+      summary.shower,
+      summary.primary.toUpperCase(),
+      summary.energy.toFixed(1),
+      summary.peak,
+      summary.groundMuon,
+      summary.groundElectron,
+      summary.groundGamma,
+      summary.groundHadron,
+      summary.duration.toFixed(1),
+    ];
+    const row = document.createElement("tr");
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    rows.push(row);
+  }
+  table.replaceChildren(...rows);
+}
+
+function exportHistory() {
+  const meta = {
+    generator: "CosmicRaySimulator",
+    exportedAt: new Date().toISOString(),
+    sessionSeed: sim.sessionSeed,
+    simTime: sim.time,
+    params: sim.params,
+  };
+  const format = historyElements.format?.value || "samples";
+  const name = `telemetry-seed-${sim.sessionSeed}`;
+  if (format === "json") {
+    downloadText(`${name}.json`, telemetry.toJSON(meta), "application/json");
+  } else {
+    downloadText(`${name}-${format}.csv`, telemetry.toCSV(meta, format));
+  }
+  logEvent(`TELEMETRY EXPORTED: ${name}`);
+}
+
+function resetHistory() {
+  telemetry.clear();
+  renderShowerTable();
+  historyDirty = true;
+}
+
+function exportLateral() {
+  const distribution = selectedLateral();
+  if (!distribution) return;
+  const { shower } = distribution;
+  downloadText(`ldf-shower-${shower.id}-seed-${shower.seed}.csv`, distribution.toCSV());
+}
+
+function formatEnergy(energy) {
+  if (energy >= 1) return `${energy.toFixed(2)} TeV`;
+  if (energy >= 1e-3) return `${(energy * 1e3).toFixed(1)} GeV`;
+  return `${(energy * 1e6).toFixed(1)} MeV`;
+}
+
+function setRecorderStatus(text) {
+  if (recorderElements.status) recorderElements.status.textContent = text;
+}
+
+function setRecordButton(active) {
+  isRecording = active;
+  recorderElements.record.textContent = active ? "STOP" : "REC";
+  recorderElements.record.classList.toggle("btn-danger", active);
+}
+
+function toggleRecording() {
+  if (isRecording) {
+    stopRecording();
+    return;
+  }
+  if (playback) exitPlayback();
+  sim.startRecording();
+  setRecordButton(true);
+  setRecorderStatus("REC 0.0s");
+  logEvent(`REC STARTED // SEED ${sim.sessionSeed}`);
+}
+
+// The worker sends the finished file back (see finishRecording).
+function stopRecording() {
+  sim.stopRecording();
+  setRecordButton(false);
+  setRecorderStatus("SAVING");
+}
+
+// The worker also finishes a recording by itself when it is full.
+function finishRecording(recording) {
+  if (recording.full) {
+    logEvent("REC FULL");
+    setRecordButton(false);
+  }
+  lastRecording = recording;
+  if (recorderElements.save) recorderElements.save.disabled = !recording.frames;
+  const size = (recording.bytes / 1048576).toFixed(1);
+  if (!isRecording && !playback) setRecorderStatus(`${recording.duration.toFixed(1)}s // ${size} MB`);
+  logEvent(`REC STOPPED // ${recording.frames} FRAMES // ${size} MB`);
+}
+
+function showRecorderProgress() {
+  if (isRecording && sim.recording) setRecorderStatus(`REC ${sim.recording.duration.toFixed(1)}s`);
+}
+
+function saveRecording() {
+  if (!lastRecording) return;
+  const blob = new Blob(lastRecording.parts, { type: "application/octet-stream" });
+  downloadBlob(`session-seed-${lastRecording.header.sessionSeed}.crsr`, blob);
+}
+
+async function loadRecording(file) {
+  try {
+    const recording = parseRecording(await file.arrayBuffer());
+    if (!recording.frames.length) throw new Error("Recording has no frames");
+    startPlayback(recording, file.name);
+  } catch (error) {
+    logEvent(`LOAD FAILED: ${error.message}`);
+  }
+}
+
+function startPlayback(recording, name) {
+  if (isRecording) stopRecording();
+  if (playback) exitPlayback();
+  selectParticle(-1);
+  showTracks(false);
+  const capacity = recording.frames.reduce((most, frame) => Math.max(most, frame.particles), 1);
+  playback = {
+    recording,
+    positions: new Float32Array(capacity * 3),
+    frame: -1,
+    clock: recording.frames[0].time,
+    playing: false,
+    counts: null,
+    // Live ground hits, put back when playback ends
+    liveHits: {
+      count: hitCount,
+      head: hitHead,
+      positions: hitPositions.slice(0, hitCount * 3),
+      colors: hitColors.slice(0, hitCount * 3),
+      energies: hitEnergies.slice(0, hitCount),
+    },
+  };
+  bindPointCloud(playback.positions);
+  const { timeline, controls } = recorderElements;
+  if (timeline) timeline.max = String(recording.frames.length - 1);
+  if (controls) controls.hidden = false;
+  if (telemetrySourceLabel) telemetrySourceLabel.textContent = "Replay";
+  setRecorderStatus("REPLAY");
+  const { header } = recording;
+  logEvent(`REPLAY ${name} // SEED ${header.sessionSeed} // ${recording.duration.toFixed(1)}s`);
+  showPlaybackFrame(0);
+  setPlaybackPlaying(true);
+}
+
+function exitPlayback() {
+  const { liveHits } = playback;
+  playback = null;
+  resetHitPoints();
+  hitPositions.set(liveHits.positions);
+  hitColors.set(liveHits.colors);
+  hitEnergies.set(liveHits.energies);
+  hitCount = liveHits.count;
+  hitHead = liveHits.head;
+  hitGeometry.setDrawRange(0, hitCount);
+  bindPointCloud(livePositions);
+  showTracks(tracksActive);
+  if (recorderElements.controls) recorderElements.controls.hidden = true;
+  if (telemetrySourceLabel) telemetrySourceLabel.textContent = "Live";
+  setRecorderStatus("IDLE");
+  logEvent("REPLAY ENDED");
+}
+
+function setPlaybackPlaying(playing) {
+  const { recording } = playback;
+  // Playing from the last frame starts over.
+  if (playing && playback.frame === recording.frames.length - 1) {
+    playback.clock = recording.frames[0].time;
+    showPlaybackFrame(0);
+  }
+  playback.playing = playing;
+  if (recorderElements.play) recorderElements.play.textContent = playing ? "PAUSE" : "PLAY";
+}
+
+function readPlaybackSpeed() {
+  return parseFloat(recorderElements.speed?.value || "1");
+}
+
+function advancePlayback(delta) {
+  if (!playback.playing) return;
+  const { recording } = playback;
+  playback.clock += delta * readPlaybackSpeed();
+  const index = recording.frameAt(playback.clock);
+  if (index !== playback.frame) showPlaybackFrame(index);
+  if (index === recording.frames.length - 1) setPlaybackPlaying(false);
+}
+
+function stepPlayback(offset) {
+  setPlaybackPlaying(false);
+  const { recording } = playback;
+  const index = THREE.MathUtils.clamp(playback.frame + offset, 0, recording.frames.length - 1);
+  playback.clock = recording.frames[index].time;
+  showPlaybackFrame(index);
+}
+
+function seekPlayback(index) {
+  playback.clock = playback.recording.frames[index].time;
+  showPlaybackFrame(index);
+}
+
+// Moves playback to a frame: ground hits accumulate going forward and are
+// rebuilt from the start going back; events are logged going forward only.
+function showPlaybackFrame(index) {
+  const { recording } = playback;
+  let from = playback.frame;
+  if (index < from) {
+    resetHitPoints();
+    from = -1;
+  } else {
+    for (const event of recording.eventsBetween(from, index)) logRecordedEvent(event);
+  }
+  for (let i = from + 1; i <= index; i += 1) {
+    recording.forEachHit(i, (type, x, z, share) => addHitPoint(type, x, z, shareBrightness(share)));
+  }
+  const { positions } = playback;
+  let count = 0;
+  recording.forEachParticle(index, (type, x, y, z, energy, share) => {
+    positions[count * 3] = x;
+    positions[count * 3 + 1] = y;
+    positions[count * 3 + 2] = z;
+    setPointColor(count++, type, shareBrightness(share));
+  });
+  commitPointCloud(count);
+  playback.frame = index;
+  playback.counts = recording.counts(index);
+
+  const start = recording.frames[0].time;
+  if (recorderElements.timeline) recorderElements.timeline.value = String(index);
+  if (recorderElements.time) {
+    const elapsed = recording.frames[index].time - start;
+    recorderElements.time.textContent = `${elapsed.toFixed(1)} / ${recording.duration.toFixed(1)}`;
+  }
+}
+
+function logRecordedEvent(event) {
+  const species = event.type.toUpperCase();
+  if (event.kind === "primary") {
+    const palette = paletteCache[event.type] || paletteCache.proton;
+    const summary = `${species} @ ${event.energy.toFixed(1)} TeV // SEED ${event.seed}`;
+    logEvent(`REC: ${summary}`, `#${palette.getHexString()}`);
+  } else if (event.kind === "showerEnd") {
+    const xmax = event.xmax === null ? "--" : event.xmax.toFixed(0);
+    logEvent(`REC: SHOWER #${event.shower} ${species} END // μ ${event.muons} // XMAX ${xmax}`);
+  }
+}
+
+function pickParticle(event) {
+  if (playback) return;
+  pointer.set((event.clientX / window.innerWidth) * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+  raycaster.setFromCamera(pointer, camera);
+  particleGeometry.computeBoundingSphere();
+  const intersections = raycaster.intersectObject(pointCloud);
+  if (!intersections.length) {
+    selectParticle(-1);
+    return;
+  }
+  // Take the point closest to the ray rather than to the camera.
+  let best = intersections[0];
+  for (const intersection of intersections) {
+    if (intersection.distanceToRay < best.distanceToRay) best = intersection;
+  }
+  selectParticle(best.index);
+}
+
+// Selects the particle drawn at point `slot`, or clears with -1. The worker
+// answers with an `inspect` event (showInspection).
+function selectParticle(slot) {
+  sim.select(slot);
+  showInspection(null);
+}
+
+function showInspection(inspection) {
+  selectedParticle = inspection?.particle ?? null;
+  buildShowerTree();
+  updateInspector();
+}
+
+function updateInspector() {
+  const { inspection } = sim;
+  if (inspection) selectedParticle = inspection.particle;
+  const particle = selectedParticle;
+  if (!particle || !inspection) {
+    for (const key in inspectElements) {
+      if (inspectElements[key]) inspectElements[key].textContent = "--";
+    }
+    if (inspectElements.tag) inspectElements.tag.textContent = "CLICK A PARTICLE";
+    highlightGeometry.setDrawRange(0, 0);
+    pathGeometry.setDrawRange(0, 0);
+    return;
+  }
+  // The worker refreshes the inspection with every frame while the particle lives.
+  const { alive, siblings, ancestry: chain } = inspection;
+  const { shower } = particle;
+  const charge = particle.charge > 0 ? "+" : particle.charge < 0 ? "−" : "0";
+  const born = chain[chain.length - 1];
+  if (inspectElements.tag) inspectElements.tag.textContent = alive ? "TRACKING" : "ENDED";
+  if (inspectElements.particle) {
+    inspectElements.particle.textContent = `${particle.type.toUpperCase()} ${charge} // #${particle.id}`;
+  }
+  if (inspectElements.energy) {
+    const now = alive ? `${formatEnergy(particle.energy)} // ` : "";
+    inspectElements.energy.textContent = `${now}BORN ${formatEnergy(born.energy)}`;
+  }
+  if (inspectElements.shower) {
+    inspectElements.shower.textContent = `#${particle.showerId} ${shower.type.toUpperCase()} // SEED ${shower.seed}`;
+  }
+  if (inspectElements.generation) inspectElements.generation.textContent = String(particle.generation);
+  if (inspectElements.altitude) {
+    const now = alive ? `${altitudeKm(particle.position.y).toFixed(1)} km` : "--";
+    inspectElements.altitude.textContent = `${particle.birthAltitude.toFixed(1)} km // ${now}`;
+  }
+  if (inspectElements.depth) inspectElements.depth.textContent = `${particle.depth.toFixed(0)} g/cm²`;
+  if (inspectElements.siblings) inspectElements.siblings.textContent = String(siblings.length / 3);
+  if (inspectElements.ancestry) {
+    const steps = chain.map((node, i) => {
+      const label = `${node.type.toUpperCase()} ${node.altitude.toFixed(1)} km`;
+      if (i < chain.length - 1) return `${label} → `;
+      const current = document.createElement("span");
+      current.className = "current";
+      current.textContent = label;
+      return current;
+    });
+    inspectElements.ancestry.replaceChildren(...steps);
+  }
+
+  // Scene highlight: the particle itself, then live siblings, then ancestor birth points.
+  let count = 0;
+  const addPoint = (x, y, z, color) => {
+    if (count >= maxHighlights) return;
+    highlightPositions.set([x, y, z], count * 3);
+    highlightColors.set([color.r, color.g, color.b], count * 3);
+    count += 1;
+  };
+  if (alive) addPoint(particle.position.x, particle.position.y, particle.position.z, highlightWhite);
+  for (let i = 0; i < siblings.length; i += 3) {
+    addPoint(siblings[i], siblings[i + 1], siblings[i + 2], highlightWhite);
+  }
+  for (const node of chain.slice(0, -1)) {
+    addPoint(node.position.x, node.position.y, node.position.z, accentState.current);
+  }
+  highlightGeometry.setDrawRange(0, count);
+  highlightGeometry.attributes.position.needsUpdate = true;
+  highlightGeometry.attributes.color.needsUpdate = true;
+
+  // Path: each ancestor's birth point, then the particle's birth point and its current position.
+  const points = chain.map((node) => node.position);
+  if (alive) points.push(particle.position);
+  const pathCount = Math.min(points.length, maxPathPoints);
+  for (let i = 0; i < pathCount; i += 1) {
+    pathPositions.set([points[i].x, points[i].y, points[i].z], i * 3);
+  }
+  pathGeometry.setDrawRange(0, pathCount);
+  pathGeometry.attributes.position.needsUpdate = true;
+}
+
+// Collapsible tree of a shower's genealogy. Children are fetched from the
+// worker when a node is opened; the branch leading to the selected particle
+// starts open.
+function treeNodeElement(shower, node, path) {
+  const label = `${node.type.toUpperCase()} ${formatEnergy(node.energy)} @ ${node.altitude.toFixed(1)} km`;
+  const process = node.process === "primary" ? "" : ` // ${node.process.toUpperCase()}`;
+  const selected = selectedParticle && node.id === selectedParticle.id;
+  if (!node.children.length) {
+    const leaf = document.createElement("div");
+    leaf.className = "tree-leaf";
+    leaf.classList.toggle("selected", Boolean(selected));
+    leaf.textContent = `${label}${process}`;
+    return leaf;
+  }
+  const details = document.createElement("details");
+  details.classList.toggle("on-path", path.has(node.id));
+  details.classList.toggle("selected", Boolean(selected));
+  const summary = document.createElement("summary");
+  summary.textContent = `${label}${process} (${node.children.length})`;
+  details.append(summary);
+  let filled = false;
+  const fill = () => {
+    if (filled) return;
+    filled = true;
+    sim.nodes(shower, node.children).then((children) => {
+      for (const child of children) {
+        if (child) details.append(treeNodeElement(shower, child, path));
+      }
+      if (path.has(node.id)) showerTreeElement.querySelector(".selected")?.scrollIntoView({ block: "nearest" });
+    });
+  };
+  details.addEventListener("toggle", () => {
+    if (details.open) fill();
+  });
+  if (path.has(node.id) && !selected) {
+    fill();
+    details.open = true;
+  }
+  return details;
+}
+
+function buildShowerTree() {
+  if (!showerTreeElement) return;
+  const particle = selectedParticle;
+  if (!particle) {
+    showerTreeElement.replaceChildren();
+    if (treeTag) treeTag.textContent = "--";
+    return;
+  }
+  const { shower } = particle;
+  const { selection } = sim;
+  const path = new Set(sim.inspection.ancestry.map((node) => node.id));
+  showerTreeElement.replaceChildren();
+  if (treeTag) treeTag.textContent = `#${shower.id} // ${shower.genealogySize} PARTICLES`;
+  sim.nodes(shower, [0]).then(([root]) => {
+    // A newer selection has rebuilt the tree in the meantime.
+    if (selection !== sim.selection || !root) return;
+    showerTreeElement.replaceChildren(treeNodeElement(shower, root, path));
+  });
+}
+
+// Offers every species with a `primary` entry, keeping the current choice.
+function refreshPrimaryOptions() {
+  if (!primaryTypeSelect) return;
+  const current = primaryTypeSelect.value;
+  const options = primarySpecies().map((info) => new Option(info.label, info.name));
+  primaryTypeSelect.replaceChildren(...options);
+  if (options.some((option) => option.value === current)) primaryTypeSelect.value = current;
+}
+
+// Adds or replaces species from a JSON file of definitions (see sim/species.js).
+async function loadSpeciesFile(file) {
+  try {
+    const names = sim.defineSpecies(parseSpeciesFile(await file.text()));
+    refreshSpeciesPalette();
+    refreshPrimaryOptions();
+    logEvent(`SPECIES LOADED: ${names.map((name) => name.toUpperCase()).join(", ")}`);
+  } catch (error) {
+    logEvent(`SPECIES LOAD FAILED: ${error.message}`);
+  }
+}
+
+function applyComposition() {
+  const composition = readMixInputs();
+  sim.setParams({ composition });
+  const shares = compositionShares(composition);
+  for (const key in mixLabels) {
+    if (mixLabels[key]) mixLabels[key].textContent = `${((shares[key] || 0) * 100).toFixed(0)}%`;
+  }
+}
+
+function applySpectrum() {
+  const spectrum = readSpectrumInputs();
+  sim.setParams({ spectrum });
+  for (const key in spectrumLabels) {
+    if (spectrumLabels[key]) spectrumLabels[key].textContent = spectrum[key].toFixed(spectrumDigits[key]);
+  }
+  const min = Math.min(spectrum.min, spectrum.max);
+  const max = Math.max(spectrum.min, spectrum.max);
+  if (min !== injectedSpectrum.min || max !== injectedSpectrum.max) injectedSpectrum.reset(min, max);
+  spectrumDirty = true;
+}
+
+function setSpectrumMode(powerLaw) {
+  sim.setParams({ spectrumMode: powerLaw ? "power-law" : "mono" });
+  if (spectrumModeLabel) spectrumModeLabel.textContent = powerLaw ? "POWER LAW" : "MONO";
+  injectedSpectrum.reset();
+  spectrumDirty = true;
+}
+
+function formatShare(value, total) {
+  const pct = total > 0 ? (value / total) * 100 : 0;
+  return `${value.toFixed(2)} TeV // ${pct.toFixed(0)}%`;
+}
+
+// Shows where the most recent primary's energy went.
+function updateLedger() {
+  const shower = sim.showers[sim.showers.length - 1];
+  if (!shower) return;
+  const { ledger } = shower;
+  const flight = sim.inFlightEnergy(shower);
+  const accounted = ledger.air + ledger.neutrino + ledger.ground + ledger.dropped + flight;
+  if (ledgerElements.shower) ledgerElements.shower.textContent = `#${shower.id} ${shower.type.toUpperCase()}`;
+  if (ledgerElements.injected) ledgerElements.injected.textContent = `${ledger.injected.toFixed(2)} TeV`;
+  if (ledgerElements.air) ledgerElements.air.textContent = formatShare(ledger.air, ledger.injected);
+  if (ledgerElements.neutrino) ledgerElements.neutrino.textContent = formatShare(ledger.neutrino, ledger.injected);
+  if (ledgerElements.ground) ledgerElements.ground.textContent = formatShare(ledger.ground, ledger.injected);
+  if (ledgerElements.flight) ledgerElements.flight.textContent = formatShare(flight, ledger.injected);
+  if (ledgerElements.dropped) {
+    ledgerElements.dropped.textContent = `${formatShare(ledger.dropped, ledger.injected)} // ${shower.dropped}`;
+  }
+  if (ledgerElements.balance) ledgerElements.balance.textContent = formatShare(accounted, ledger.injected);
+}
+
+// Particles crossing each slant depth (or the matching altitude) for the
+// latest shower, total and per species group, over the totals of the recent
+// showers, with the latest shower's depth of maximum marked.
+function drawProfile() {
+  if (!profileCtx || !profileCanvas) return;
+  const profiles = sim.showers.slice(-1 - PROFILE_OVERLAYS).map((shower) => shower.profile);
+  const unchanged = profiles.length === profilesDrawn.length && profiles.every((p, i) => p === profilesDrawn[i]);
+  if (unchanged && !profileDirty) return;
+  profileDirty = false;
+  profilesDrawn = profiles;
+  const width = profileCanvas.width;
+  const height = profileCanvas.height;
+  const pad = 16;
+  profileCtx.clearRect(0, 0, width, height);
+  profileCtx.fillStyle = "rgba(5,6,12,0.9)";
+  profileCtx.fillRect(0, 0, width, height);
+
+  const { showers } = sim;
+  const current = showers[showers.length - 1];
+  if (!current) return;
+  const recent = showers.slice(-1 - PROFILE_OVERLAYS, -1);
+  const atmosphere = getAtmosphere(sim.params.atmosphere);
+  const byAltitude = profileAxisSelect?.value === "altitude";
+  let deepest = 0;
+  let peak = 1;
+  for (const shower of [...recent, current]) {
+    const { total } = shower.profile.counts;
+    deepest = Math.max(deepest, total.length * shower.profile.binWidth);
+    for (const count of total) peak = Math.max(peak, count || 0);
+  }
+  const span = byAltitude ? PROFILE_TOP_ALTITUDE : Math.max(deepest, 1000);
+  // Depth runs left to right; in altitude mode the top of the range sits on the left.
+  const levelX = (shower, depth) => {
+    const value = byAltitude ? altitudeAtDepth(atmosphere, depth * Math.max(0.05, -shower.axis.y)) : depth;
+    const t = byAltitude ? 1 - value / span : value / span;
+    return pad + t * (width - pad * 2);
+  };
+  const countY = (count) => height - pad - (count / peak) * (height - pad * 2);
+
+  const plot = (shower, counts, strokeStyle) => {
+    profileCtx.strokeStyle = strokeStyle;
+    profileCtx.beginPath();
+    let started = false;
+    for (let level = 0; level < counts.length; level += 1) {
+      const x = levelX(shower, level * shower.profile.binWidth);
+      const y = countY(counts[level] || 0);
+      if (started) profileCtx.lineTo(x, y);
+      else profileCtx.moveTo(x, y);
+      started = true;
+    }
+    profileCtx.stroke();
+  };
+
+  profileCtx.lineWidth = 1;
+  for (const shower of recent) plot(shower, shower.profile.counts.total, "rgba(255,255,255,0.16)");
+  for (const group in SPECIES_GROUPS) {
+    const palette = paletteCache[profileColors[group]] || paletteCache.proton;
+    plot(current, current.profile.counts[group], colorToRgba(palette, 0.8));
+  }
+  profileCtx.lineWidth = 1.5;
+  plot(current, current.profile.counts.total, "rgba(255,255,255,0.9)");
+
+  const xmax = current.xmax ?? profileXmax(current.profile);
+  if (profileXmaxLabel) {
+    const state = current.endTime === null ? " LIVE" : "";
+    profileXmaxLabel.textContent = xmax === null ? "--" : `#${current.id} XMAX ${xmax.toFixed(0)} g/cm²${state}`;
+  }
+  if (xmax !== null) {
+    const x = levelX(current, xmax);
+    profileCtx.strokeStyle = accentStrokeStyle;
+    profileCtx.lineWidth = 1;
+    profileCtx.setLineDash([4, 3]);
+    profileCtx.beginPath();
+    profileCtx.moveTo(x, pad);
+    profileCtx.lineTo(x, height - pad);
+    profileCtx.stroke();
+    profileCtx.setLineDash([]);
+  }
+
+  profileCtx.fillStyle = "rgba(255,255,255,0.65)";
+  profileCtx.font = "11px 'Share Tech Mono', monospace";
+  profileCtx.fillText(String(peak), 2, pad - 4);
+  const ticks = byAltitude ? [40, 30, 20, 10, 0] : [0, 250, 500, 750, 1000].filter((depth) => depth <= span);
+  for (const value of ticks) {
+    const t = byAltitude ? 1 - value / span : value / span;
+    const label = String(value);
+    const x = pad + t * (width - pad * 2) - profileCtx.measureText(label).width / 2;
+    profileCtx.fillText(label, Math.min(width - 18, Math.max(2, x)), height - 3);
+  }
+}
+
+// Injected energies on log-log axes, with the configured spectrum's expected
+// counts per bin overlaid while the power-law mode is on.
+function drawSpectrum() {
+  if (!spectrumCtx || !spectrumCanvas || !spectrumDirty) return;
+  spectrumDirty = false;
+  const width = spectrumCanvas.width;
+  const height = spectrumCanvas.height;
+  const pad = 14;
+  spectrumCtx.clearRect(0, 0, width, height);
+  spectrumCtx.fillStyle = "rgba(5,6,12,0.9)";
+  spectrumCtx.fillRect(0, 0, width, height);
+  if (spectrumCountLabel) spectrumCountLabel.textContent = String(injectedSpectrum.total);
+
+  const { bins, counts, total } = injectedSpectrum;
+  const binWidth = (width - pad * 2) / bins;
+  const expected = new Array(bins).fill(0);
+  const powerLaw = sim.params.spectrumMode === "power-law";
+  if (powerLaw && total > 0) {
+    let norm = 0;
+    for (let i = 0; i < bins; i += 1) {
+      const low = injectedSpectrum.edge(i);
+      const high = injectedSpectrum.edge(i + 1);
+      expected[i] = spectrumDensity(sim.params.spectrum, Math.sqrt(low * high)) * (high - low);
+      norm += expected[i];
+    }
+    for (let i = 0; i < bins; i += 1) expected[i] *= total / norm;
+  }
+  const peak = Math.max(1, ...counts, ...expected);
+  const scaleY = (value) => height - pad - (Math.log10(1 + value) / Math.log10(1 + peak)) * (height - pad * 2);
+
+  spectrumCtx.fillStyle = accentStrokeStyle;
+  for (let i = 0; i < bins; i += 1) {
+    if (!counts[i]) continue;
+    const y = scaleY(counts[i]);
+    spectrumCtx.fillRect(pad + i * binWidth + 1, y, binWidth - 2, height - pad - y);
+  }
+
+  if (powerLaw && total > 0) {
+    spectrumCtx.strokeStyle = "rgba(255,255,255,0.7)";
+    spectrumCtx.lineWidth = 1;
+    spectrumCtx.beginPath();
+    for (let i = 0; i < bins; i += 1) {
+      const x = pad + (i + 0.5) * binWidth;
+      if (i === 0) spectrumCtx.moveTo(x, scaleY(expected[i]));
+      else spectrumCtx.lineTo(x, scaleY(expected[i]));
+    }
+    spectrumCtx.stroke();
+  }
+
+  spectrumCtx.fillStyle = "rgba(255,255,255,0.65)";
+  spectrumCtx.font = "11px 'Share Tech Mono', monospace";
+  spectrumCtx.fillText(injectedSpectrum.min.toFixed(1), pad, height - 2);
+  const maxLabel = injectedSpectrum.max.toFixed(1);
+  spectrumCtx.fillText(maxLabel, width - pad - spectrumCtx.measureText(maxLabel).width, height - 2);
+}
+
+function energizeControls() {
+  if (energyValue) energyValue.textContent = parseFloat(energyRange.value).toFixed(1);
+  if (zenithValue && zenithRange) zenithValue.textContent = zenithRange.value;
+  if (azimuthValue && azimuthRange) azimuthValue.textContent = azimuthRange.value;
+  if (driveValue) driveValue.textContent = parseFloat(driveRange.value).toFixed(2);
+  if (rateValue) rateValue.textContent = parseFloat(rateRange.value).toFixed(2);
+}
+
+function onResize() {
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+}
+
+sim.on("primary", announcePrimary);
+sim.on("hit", recordHit);
+sim.on("hit", (particle) => array.record(particle));
+sim.on("hit", fillLateral);
+sim.on("hit", (particle) => hitLog.record(particle, particle.simTime));
+sim.on("hit", (particle) => telemetry.recordHit(particle));
+sim.on("hit", recordDetectors);
+sim.on("primary", refreshHitShowerOptions);
+sim.on("primary", trackLateral);
+sim.on("primary", pinNewShower);
+sim.on("showerEnd", announceShowerEnd);
+sim.on("showerEnd", reconstructShower);
+sim.on("showerEnd", recordShowerSummary);
+sim.on("inspect", showInspection);
+sim.on("recording", finishRecording);
+sim.on("error", (message) => logEvent(`SIM ERROR // ${message}`));
+
+burstButton?.addEventListener("click", () => sim.spawnPrimary(primaryTypeSelect.value));
+cascadeToggle?.addEventListener("change", () => {
+  sim.setParams({ cascade: cascadeToggle.checked });
+  if (sim.params.cascade) {
+    sim.spawnPrimary(primaryTypeSelect.value, { auto: true });
+  }
+});
+compositionToggle?.addEventListener("change", () => {
+  const mixed = compositionToggle.checked;
+  sim.setParams({ compositionMode: mixed ? "mixed" : "single" });
+  logEvent(`BEAM: ${compositionToggle.checked ? "MIXED COMPOSITION" : "SINGLE SPECIES"}`);
+});
+for (const name in mixInputs) {
+  mixInputs[name]?.addEventListener("input", applyComposition);
+}
+spectrumToggle?.addEventListener("change", () => setSpectrumMode(spectrumToggle.checked));
+for (const name in spectrumInputs) {
+  spectrumInputs[name]?.addEventListener("input", applySpectrum);
+}
+isotropicToggle?.addEventListener("change", () => {
+  sim.setParams({ skyMode: isotropicToggle.checked ? "isotropic" : "fixed" });
+});
+conserveToggle?.addEventListener("change", () => {
+  sim.setParams({ conserveEnergy: conserveToggle.checked });
+  logEvent(`ENERGY CONSERVATION ${conserveToggle.checked ? "ON" : "OFF"}`);
+});
+atmosphereSelect?.addEventListener("change", () => {
+  sim.setParams({ atmosphere: atmosphereSelect.value });
+  profileDirty = true;
+  if (axisAtmosphereLabel) axisAtmosphereLabel.textContent = getAtmosphere(atmosphereSelect.value).label;
+});
+interactionSelect?.addEventListener("change", () => sim.setParams({ interactionModel: interactionSelect.value }));
+speedSelect?.addEventListener("change", () => sim.setParams({ speed: parseFloat(speedSelect.value) }));
+timestepSelect?.addEventListener("change", () => sim.setParams({ timestep: 1 / parseFloat(timestepSelect.value) }));
+lateralSelect?.addEventListener("change", () => {
+  lateralDirty = true;
+});
+profileAxisSelect?.addEventListener("change", () => {
+  profileDirty = true;
+});
+lateralExportButton?.addEventListener("click", exportLateral);
+hitExportElements.export?.addEventListener("click", exportHits);
+historyElements.export?.addEventListener("click", exportHistory);
+detectorInputs.kind?.addEventListener("change", selectDetectorKind);
+for (const key in detectorLabels) detectorInputs[key]?.addEventListener("input", readDetectorInputs);
+detectorAddButton?.addEventListener("click", placeDetector);
+telescopeToggle?.addEventListener("change", applyTelescope);
+for (const key in telescopeInputs) telescopeInputs[key]?.addEventListener("input", applyTelescope);
+telescopeElements.reset?.addEventListener("click", () => sim.resetTelescope());
+detectorRemoveButton?.addEventListener("click", removeDetector);
+historyElements.reset?.addEventListener("click", resetHistory);
+historyElements.series?.addEventListener("change", () => {
+  historyDirty = true;
+});
+historyElements.span?.addEventListener("change", () => {
+  historyDirty = true;
+});
+recorderElements.record?.addEventListener("click", toggleRecording);
+recorderElements.save?.addEventListener("click", saveRecording);
+recorderElements.load?.addEventListener("click", () => recorderElements.file?.click());
+recorderElements.file?.addEventListener("change", () => {
+  const [file] = recorderElements.file.files;
+  if (file) loadRecording(file);
+  recorderElements.file.value = "";
+});
+recorderElements.timeline?.addEventListener("input", () => {
+  if (playback) seekPlayback(parseInt(recorderElements.timeline.value, 10));
+});
+recorderElements.play?.addEventListener("click", () => setPlaybackPlaying(!playback.playing));
+recorderElements.back?.addEventListener("click", () => stepPlayback(-1));
+recorderElements.forward?.addEventListener("click", () => stepPlayback(1));
+recorderElements.exit?.addEventListener("click", exitPlayback);
+for (const name in arrayInputs) {
+  arrayInputs[name]?.addEventListener(name === "layout" ? "change" : "input", applyArray);
+}
+fieldPresetSelect?.addEventListener("change", () => selectFieldPreset(fieldPresetSelect.value));
+for (const name in fieldInputs) {
+  fieldInputs[name]?.addEventListener("input", () => {
+    if (fieldPresetSelect) fieldPresetSelect.value = "custom";
+    applyField(readFieldInputs());
+  });
+}
+hitToggle?.addEventListener("change", () => {
+  hitsActive = hitToggle.checked;
+});
+trackToggle?.addEventListener("change", () => setTracksActive(trackToggle.checked));
+trailLengthRange?.addEventListener("input", () => {
+  const length = parseFloat(trailLengthRange.value);
+  trackMaterial.uniforms.trailLength.value = length;
+  if (trailLengthValue) trailLengthValue.textContent = length.toFixed(1);
+});
+freezeToggle?.addEventListener("change", () => setTracksFrozen(freezeToggle.checked));
+for (const element of configControls.values()) {
+  element.addEventListener(element.type === "range" ? "input" : "change", scheduleSessionUrl);
+}
+controls.addEventListener("end", scheduleSessionUrl);
+controls.addEventListener("start", () => {
+  cameraGlide = null;
+});
+cameraElements.mode?.addEventListener("change", () => setCameraMode(cameraElements.mode.value));
+cameraElements.side?.addEventListener("click", () => glideCamera(CAMERA_VIEWS.side));
+cameraElements.top?.addEventListener("click", () => glideCamera(CAMERA_VIEWS.top));
+cameraElements.ground?.addEventListener("click", () => glideCamera(CAMERA_VIEWS.ground));
+cameraElements.go?.addEventListener("click", () => goToViewpoint());
+cameraElements.remove?.addEventListener("click", deleteViewpoint);
+cameraElements.save?.addEventListener("click", saveViewpoint);
+cameraElements.name?.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    saveViewpoint();
+  }
+});
+presetElements.select?.addEventListener("change", updatePresetButtons);
+presetElements.load?.addEventListener("click", loadPreset);
+presetElements.remove?.addEventListener("click", deletePreset);
+presetElements.save?.addEventListener("click", savePreset);
+presetElements.name?.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    savePreset();
+  }
+});
+presetElements.link?.addEventListener("click", copySessionLink);
+presetElements.export?.addEventListener("click", () => {
+  downloadText("cosmic-ray-presets.json", presetStore.toJSON(), "application/json");
+});
+presetElements.import?.addEventListener("click", () => presetElements.file?.click());
+speciesLoadButton?.addEventListener("click", () => speciesFileInput?.click());
+speciesFileInput?.addEventListener("change", () => {
+  const [file] = speciesFileInput.files;
+  if (file) loadSpeciesFile(file);
+  speciesFileInput.value = "";
+});
+presetElements.file?.addEventListener("change", () => {
+  const [file] = presetElements.file.files;
+  if (file) importPresets(file);
+  presetElements.file.value = "";
+});
+clearButton?.addEventListener("click", clearSky);
+pauseButton?.addEventListener("click", togglePause);
+clearHitsButton?.addEventListener("click", clearHits);
+replayButton?.addEventListener("click", () => sim.replayLastPrimary());
+seedApplyButton?.addEventListener("click", applySeedInput);
+seedInput?.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    applySeedInput();
+    seedInput.blur();
+  }
+});
+primaryTypeSelect?.addEventListener("change", () => {
+  sim.setParams({ primaryType: primaryTypeSelect.value });
+  setAccentTargets(primaryTypeSelect.value);
+});
+
+energyRange?.addEventListener("input", () => {
+  sim.setParams({ energy: parseFloat(energyRange.value) });
+  if (energyValue) energyValue.textContent = parseFloat(energyRange.value).toFixed(1);
+});
+zenithRange?.addEventListener("input", () => {
+  sim.setParams({ zenith: parseFloat(zenithRange.value) });
+  if (zenithValue) zenithValue.textContent = zenithRange.value;
+});
+azimuthRange?.addEventListener("input", () => {
+  sim.setParams({ azimuth: parseFloat(azimuthRange.value) });
+  if (azimuthValue) azimuthValue.textContent = azimuthRange.value;
+});
+driveRange?.addEventListener("input", () => {
+  sim.setParams({ drive: parseFloat(driveRange.value) });
+  if (driveValue) driveValue.textContent = parseFloat(driveRange.value).toFixed(2);
+});
+rateRange?.addEventListener("input", () => {
+  sim.setParams({ rate: parseFloat(rateRange.value) });
+  if (rateValue) rateValue.textContent = parseFloat(rateRange.value).toFixed(2);
+});
+
+renderer.domElement.addEventListener("pointerdown", (event) => {
+  pointerDown.x = event.clientX;
+  pointerDown.y = event.clientY;
+});
+// A click that did not drag the camera picks a particle.
+renderer.domElement.addEventListener("pointerup", (event) => {
+  if (event.button !== 0) return;
+  if (Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > 4) return;
+  pickParticle(event);
+});
+
+window.addEventListener("resize", onResize);
+window.addEventListener("keydown", (event) => {
+  const tag = event.target instanceof HTMLElement ? event.target.tagName.toLowerCase() : "";
+  const interactingWithInput = tag === "input" || tag === "select" || tag === "textarea";
+  if (event.code === "Space") {
+    if (!interactingWithInput) {
+      event.preventDefault();
+      if (playback) setPlaybackPlaying(!playback.playing);
+      else togglePause();
+    }
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (interactingWithInput) return;
+  if (event.key === "Escape") {
+    selectParticle(-1);
+    return;
+  }
+  if (key === "r") {
+    event.preventDefault();
+    clearAll();
+  } else if (key === "f") {
+    event.preventDefault();
+    sim.spawnPrimary(primaryTypeSelect?.value || "proton");
+  }
+  // The camera keys leave shortcuts with modifiers (copy, tab switching) to
+  // the browser.
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (key === "c") {
+    event.preventDefault();
+    cycleCameraMode();
+  } else if (/^[1-9]$/.test(key)) {
+    // 1-3 the built-in views, 4-9 the first saved viewpoints.
+    event.preventDefault();
+    const index = Number(key);
+    const name = viewpointStore.names[index - 4];
+    if (index <= 3) glideCamera(Object.values(CAMERA_VIEWS)[index - 1]);
+    else if (name) goToViewpoint(name);
+  }
+});
+
+function animate() {
+  const rawDelta = clock.getDelta();
+  updateAccent(rawDelta);
+  fadeDetectors(rawDelta);
+  updateCamera(rawDelta);
+  controls.update();
+  if (playback) {
+    advancePlayback(rawDelta);
+  } else {
+    if (!isPaused) sim.advance(rawDelta);
+    refreshPointCloud();
+    trackMaterial.uniforms.now.value = sim.time;
+    sampleTelemetry();
+    showRecorderProgress();
+  }
+  if (selectedParticle) updateInspector();
+  updateStats(playback?.counts);
+  updateLedger();
+  renderDetectorStats();
+  drawTelescope();
+  drawProfile();
+  drawSpectrum();
+  drawLateral();
+  drawHistory();
+  if (sysTime) {
+    const now = new Date();
+    sysTime.textContent = now.toLocaleTimeString("en-GB");
+  }
+  renderer.render(scene, camera);
+  requestAnimationFrame(animate);
+}
+
+refreshPrimaryOptions();
+if (atmosphereSelect) {
+  const options = Object.entries(atmospheres).map(([key, profile]) => new Option(profile.label, key));
+  atmosphereSelect.replaceChildren(...options);
+  atmosphereSelect.value = sim.params.atmosphere;
+}
+if (axisAtmosphereLabel) axisAtmosphereLabel.textContent = getAtmosphere(sim.params.atmosphere).label;
+if (fieldPresetSelect) {
+  const options = Object.entries(fieldPresets).map(([key, preset]) => new Option(preset.label, key));
+  fieldPresetSelect.replaceChildren(...options, new Option("CUSTOM", "custom"));
+  fieldPresetSelect.value = "off";
+}
+if (hitExportElements.species) {
+  const options = Object.keys(SPECIES_GROUPS).map((group) => new Option(hitGroupLabels[group], group));
+  hitExportElements.species.replaceChildren(new Option("ALL SPECIES", "all"), ...options);
+}
+applyField(readFieldInputs());
+applyComposition();
+applyArray();
+if (detectorInputs.kind) {
+  const options = Object.entries(DETECTOR_KINDS).map(([key, spec]) => new Option(spec.label, key));
+  detectorInputs.kind.replaceChildren(...options);
+}
+if (detectorInputs.absorber) {
+  const options = Object.entries(ABSORBERS).map(([key, absorber]) => new Option(absorber.label, key));
+  detectorInputs.absorber.replaceChildren(...options);
+}
+readDetectorInputs();
+buildDetectorMeshes();
+applyTelescope();
+refreshDetectorList();
+applySpectrum();
+setSpectrumMode(Boolean(spectrumToggle?.checked));
+
+if (hashState) {
+  applyConfig(hashState.controls);
+  if (hashState.camera) applyCamera(hashState.camera);
+}
+refreshPresetOptions();
+refreshViewpointOptions();
+
+setAccentTargets(primaryTypeSelect?.value || "proton", true);
+setPaused(false);
+energizeControls();
+updateSeedDisplay();
+writeSessionUrl();
+
+// Scripting API for the console and for pages embedding the simulator (see
+// readme): the live simulation as an Experiment, the HUD's configuration and
+// pause, and the batch runner.
+window.cosmicRay = Object.assign(new Experiment(sim), {
+  configure(config) {
+    applyConfig(config);
+    writeSessionUrl();
+  },
+  readConfig,
+  pause: () => setPaused(true),
+  resume: () => setPaused(false),
+  runBatch,
+  Experiment,
+});
+
 animate();
@@ -0,0 +1,199 @@
+// Scripting API: one object to drive a simulation from code, the browser
+// console or a page embedding the simulator, and a batch runner that sweeps
+// parameters over many showers without rendering.
+//
+// An Experiment wraps either a headless Simulation (Experiment.headless) or
+// the HUD's SimulationClient (window.cosmicRay in the page). The calls are the
+// same; with the client they run in its worker, so stats() and the events
+// catch up with its next frames.
+import { Simulation } from "./simulation.js";
+import { SHOWER_FIELDS, showerSummary } from "./telemetry.js";
+
+// Events on(): `primary` ({ particle, shower, type, energy, seed, replay,
+// auto }), `particle` for every particle created (the primary included),
+// `decay` ({ particle, products }), `hit` for every ground hit, `showerEnd`
+// (the shower record) and `step` (the step length).
+export const EXPERIMENT_EVENTS = ["primary", "particle", "decay", "hit", "showerEnd", "step"];
+
+export class Experiment {
+  constructor(sim) {
+    this.sim = sim;
+  }
+
+  // An Experiment on a new headless Simulation; see Simulation for `params`.
+  static headless(params = {}, { seed = null } = {}) {
+    return new Experiment(new Simulation(params, { seed }));
+  }
+
+  get params() {
+    return this.sim.params;
+  }
+
+  get time() {
+    return this.sim.time;
+  }
+
+  // Changes parameters (see DEFAULT_PARAMS).
+  set(patch) {
+    this.sim.setParams(patch);
+    return this;
+  }
+
+  seed(seed) {
+    this.sim.setSeed(seed);
+    return this;
+  }
+
+  // Injects a primary of `type`, by default `params.primaryType`; `options`
+  // as Simulation#spawnPrimary ({ energy, direction, seed }). The primary
+  // itself comes with the `primary` event, as the page's worker only creates
+  // it later.
+  inject(type = this.sim.params.primaryType, options = {}) {
+    this.sim.spawnPrimary(type, options);
+    return this;
+  }
+
+  // Runs `count` fixed steps of `params.timestep`.
+  step(count = 1) {
+    if (this.sim instanceof Simulation) {
+      for (let i = 0; i < count; i += 1) this.sim.step(this.sim.params.timestep);
+    } else {
+      this.sim.runSteps(count);
+    }
+    return this;
+  }
+
+  // Runs `seconds` of simulated time in whole steps.
+  run(seconds) {
+    return this.step(Math.round(seconds / this.sim.params.timestep));
+  }
+
+  // Headless only: steps until no particle is left, at most `maxSeconds` of
+  // simulated time. Returns the steps taken.
+  runUntilQuiet(maxSeconds = 60) {
+    const { sim } = this;
+    if (!(sim instanceof Simulation)) throw new Error("runUntilQuiet needs a headless simulation");
+    const limit = Math.ceil(maxSeconds / sim.params.timestep);
+    let steps = 0;
+    while (sim.particles.length && steps < limit) {
+      sim.step(sim.params.timestep);
+      steps += 1;
+    }
+    return steps;
+  }
+
+  clear() {
+    this.sim.clear();
+    return this;
+  }
+
+  // Subscribes to one of EXPERIMENT_EVENTS; returns the unsubscribe function.
+  on(event, listener) {
+    if (!EXPERIMENT_EVENTS.includes(event)) throw new Error(`Unknown event: ${event}`);
+    return this.sim.on(event, listener);
+  }
+
+  // Simulation time, live counts (see Simulation#counts), particles refused at
+  // the cap, and the recent showers: alive count, ground hits per species and
+  // the rest of their record.
+  stats() {
+    const { sim } = this;
+    return {
+      time: sim.time,
+      counts: { ...sim.counts() },
+      dropped: sim.droppedParticles,
+      showers: sim.showers.map((shower) => ({
+        id: shower.id,
+        type: shower.type,
+        energy: shower.energy,
+        zenith: shower.zenith,
+        azimuth: shower.azimuth,
+        alive: shower.alive,
+        peak: shower.peak,
+        hits: { ...shower.hits },
+        startTime: shower.startTime,
+        endTime: shower.endTime,
+        xmax: shower.xmax,
+      })),
+    };
+  }
+}
+
+// Every combination of the sweep's value lists, e.g.
+// { primaryType: ["proton", "iron"], energy: [2, 8] } gives four.
+export function sweepCombinations(sweep) {
+  let combinations = [{}];
+  for (const [key, values] of Object.entries(sweep)) {
+    combinations = combinations.flatMap((combination) => values.map((value) => ({ ...combination, [key]: value })));
+  }
+  return combinations;
+}
+
+// Rows of a batch: the swept parameters (as `param.<key>`, apart from the
+// shower's own fields), the run number within the combination, `complete`
+// (false when the shower hit `maxSeconds`) and the shower summary
+// (SHOWER_FIELDS).
+export class BatchResults {
+  constructor(sweepKeys) {
+    this.fields = [...sweepKeys.map((key) => `param.${key}`), "run", "complete", ...SHOWER_FIELDS];
+    this.rows = [];
+  }
+
+  toCSV(meta = {}) {
+    const header = Object.entries(meta).map(
+      ([key, value]) => `# ${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`,
+    );
+    const rows = this.rows.map((row) => this.fields.map((key) => row[key] ?? "").join(","));
+    return [...header, this.fields.join(","), ...rows].join("\n");
+  }
+
+  toJSON(meta = {}) {
+    return JSON.stringify({ meta, fields: this.fields, rows: this.rows });
+  }
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Runs `showers` showers, one after the other, for every combination of
+// `sweep` over `params`, each combination in a fresh headless simulation
+// with the same `seed`, so combinations see the same random streams. The
+// primaries are drawn as Auto-Cascade draws them, so `skyMode`,
+// `spectrumMode` and `compositionMode` apply. A
+// shower still going after `maxSeconds` of simulated time is cleared. Yields
+// to the event loop every `yieldEvery` steps so a page stays responsive, and
+// reports { done, total } showers to `onProgress`.
+export async function runBatch({
+  params = {},
+  sweep = {},
+  showers = 10,
+  seed = 1,
+  maxSeconds = 60,
+  yieldEvery = 200,
+  onProgress = null,
+} = {}) {
+  const combinations = sweepCombinations(sweep);
+  const results = new BatchResults(Object.keys(sweep));
+  const total = combinations.length * showers;
+  let steps = 0;
+  for (const combination of combinations) {
+    const sim = new Simulation({ ...params, ...combination, cascade: false }, { seed });
+    const limit = Math.ceil(maxSeconds / sim.params.timestep);
+    for (let run = 0; run < showers; run += 1) {
+      sim.spawnPrimary(sim.params.primaryType, { auto: true });
+      const shower = sim.showers[sim.showers.length - 1];
+      let taken = 0;
+      while (sim.particles.length && taken < limit) {
+        sim.step(sim.params.timestep);
+        taken += 1;
+        steps += 1;
+        if (steps % yieldEvery === 0) await nextTask();
+      }
+      const complete = sim.particles.length === 0;
+      if (!complete) sim.clear();
+      const swept = Object.fromEntries(Object.entries(combination).map(([key, value]) => [`param.${key}`, value]));
+      results.rows.push({ ...swept, run, complete, ...showerSummary(shower) });
+      onProgress?.({ done: results.rows.length, total });
+    }
+  }
+  return results;
+}
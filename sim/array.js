@@ -0,0 +1,198 @@
+// Surface detector array: stations on the ground plane count the particles that
+// land on them and time the first arrival, and triggered events are
+// reconstructed from the station data alone. Distances are in km (stations
+// keep scene-unit positions for rendering), times in seconds since the
+// primary was injected.
+import { KM_PER_UNIT, SPEED_OF_LIGHT, arrivalVector, groundCrossing } from "./simulation.js";
+
+// The simulated footprint holds far fewer particles than a real one, so the
+// stations are far larger than a real 10 m² tank.
+export const DEFAULT_ARRAY = {
+  // "grid" (square) or "hex" (triangular lattice).
+  layout: "hex",
+  spacing: 1.5,
+  // Collecting area of one station in km².
+  area: 0.5,
+  // Stations are placed within this distance of the centre.
+  radius: 15,
+  // A station triggers at `threshold` particles; an event needs `minStations`.
+  threshold: 2,
+  minStations: 3,
+};
+
+// Pending events kept for showers that have not ended yet.
+const MAX_PENDING = 64;
+const DEG = Math.PI / 180;
+
+export function layoutStations({ layout, spacing, radius }) {
+  const stations = [];
+  const rowStep = layout === "hex" ? spacing * (Math.sqrt(3) / 2) : spacing;
+  const rows = Math.floor(radius / rowStep);
+  const columns = Math.ceil(radius / spacing) + 1;
+  for (let row = -rows; row <= rows; row += 1) {
+    const offset = layout === "hex" && row % 2 !== 0 ? spacing / 2 : 0;
+    for (let column = -columns; column <= columns; column += 1) {
+      const x = column * spacing + offset;
+      const z = row * rowStep;
+      if (Math.hypot(x, z) > radius) continue;
+      stations.push({ id: stations.length, x: x / KM_PER_UNIT, z: z / KM_PER_UNIT });
+    }
+  }
+  return stations;
+}
+
+// Weighted least-squares plane t = t0 + u·x + w·z through station times,
+// with x and z in km relative to the weighted centroid. Returns the slowness
+// (u, w) in s/km, or null for collinear stations.
+function fitPlaneFront(points) {
+  let sw = 0;
+  let sx = 0;
+  let sz = 0;
+  let st = 0;
+  for (const { x, z, time, weight } of points) {
+    sw += weight;
+    sx += weight * x;
+    sz += weight * z;
+    st += weight * time;
+  }
+  const mx = sx / sw;
+  const mz = sz / sw;
+  const mt = st / sw;
+  let xx = 0;
+  let xz = 0;
+  let zz = 0;
+  let xt = 0;
+  let zt = 0;
+  for (const { x, z, time, weight } of points) {
+    const dx = x - mx;
+    const dz = z - mz;
+    const dt = time - mt;
+    xx += weight * dx * dx;
+    xz += weight * dx * dz;
+    zz += weight * dz * dz;
+    xt += weight * dx * dt;
+    zt += weight * dz * dt;
+  }
+  const det = xx * zz - xz * xz;
+  if (!(Math.abs(det) > 1e-9 * (xx * zz || 1))) return null;
+  return { u: (xt * zz - zt * xz) / det, w: (zt * xx - xt * xz) / det };
+}
+
+// Angle in degrees between two arrival directions.
+function angleBetween(a, b) {
+  const va = arrivalVector(a.zenith, a.azimuth);
+  const vb = arrivalVector(b.zenith, b.azimuth);
+  const cos = va.x * vb.x + va.y * vb.y + va.z * vb.z;
+  return Math.acos(Math.min(1, Math.max(-1, cos))) / DEG;
+}
+
+export class DetectorArray {
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  configure(patch) {
+    this.config = { ...DEFAULT_ARRAY, ...this.config, ...patch };
+    this.stations = layoutStations(this.config);
+    // Station radius in scene units.
+    this.collectRadius = Math.sqrt(this.config.area / Math.PI) / KM_PER_UNIT;
+    this.reset();
+  }
+
+  reset() {
+    this.pending = new Map();
+  }
+
+  stationAt(x, z) {
+    const limit = this.collectRadius * this.collectRadius;
+    for (const station of this.stations) {
+      const dx = x - station.x;
+      const dz = z - station.z;
+      if (dx * dx + dz * dz <= limit) return station;
+    }
+    return null;
+  }
+
+  // Call for every particle the simulation reports on the ground.
+  record(particle) {
+    const crossing = groundCrossing(particle);
+    const station = this.stationAt(crossing.x, crossing.z);
+    if (!station) return;
+    const { id } = particle.shower;
+    let readings = this.pending.get(id);
+    if (!readings) {
+      readings = new Map();
+      this.pending.set(id, readings);
+      if (this.pending.size > MAX_PENDING) this.pending.delete(this.pending.keys().next().value);
+    }
+    const reading = readings.get(station.id);
+    if (reading) {
+      reading.count += 1;
+      reading.time = Math.min(reading.time, crossing.time);
+    } else {
+      readings.set(station.id, { station, count: 1, time: crossing.time });
+    }
+  }
+
+  // Call once a shower has ended. Returns the event with its station readings,
+  // trigger decision and, when triggered, the reconstructed core (scene
+  // units) and arrival direction next to the true ones; null without hits.
+  reconstruct(shower) {
+    const readings = this.pending.get(shower.id);
+    this.pending.delete(shower.id);
+    if (!readings) return null;
+    const { threshold, minStations } = this.config;
+    const stations = [...readings.values()];
+    const hit = stations.filter((reading) => reading.count >= threshold);
+    const event = {
+      shower: shower.id,
+      type: shower.type,
+      energy: shower.energy,
+      stations,
+      triggered: hit.length >= Math.max(1, minStations),
+      trueCore: shower.core ? { x: shower.core.x, z: shower.core.z } : null,
+      trueDirection: { zenith: shower.zenith, azimuth: shower.azimuth },
+      core: null,
+      direction: null,
+      coreError: null,
+      angleError: null,
+    };
+    if (!event.triggered) return event;
+
+    // Core: signal-weighted barycentre of the triggered stations.
+    let total = 0;
+    let cx = 0;
+    let cz = 0;
+    for (const { station, count } of hit) {
+      total += count;
+      cx += station.x * count;
+      cz += station.z * count;
+    }
+    event.core = { x: cx / total, z: cz / total };
+    if (event.trueCore) {
+      event.coreError = Math.hypot(event.core.x - event.trueCore.x, event.core.z - event.trueCore.z) * KM_PER_UNIT;
+    }
+
+    // Direction: a plane front sweeping the ground along the axis reaches
+    // (x, z) at t0 + (a·r)/c, so the fitted slowness times c gives the
+    // horizontal part of the propagation direction a.
+    if (hit.length >= 3) {
+      const points = hit.map(({ station, count, time }) => ({
+        x: station.x * KM_PER_UNIT,
+        z: station.z * KM_PER_UNIT,
+        time,
+        weight: count,
+      }));
+      const slowness = fitPlaneFront(points);
+      if (slowness) {
+        const ax = slowness.u * SPEED_OF_LIGHT;
+        const az = slowness.w * SPEED_OF_LIGHT;
+        const sinTheta = Math.min(1, Math.hypot(ax, az));
+        const azimuth = (Math.atan2(-ax, az) / DEG + 360) % 360;
+        event.direction = { zenith: Math.asin(sinTheta) / DEG, azimuth };
+        event.angleError = angleBetween(event.direction, event.trueDirection);
+      }
+    }
+    return event;
+  }
+}
@@ -0,0 +1,89 @@
+// Atmosphere profiles and grammage bookkeeping. Altitudes are in km, depths in
+// g/cm². Profiles use Linsley's layered parametrisation: within a layer the
+// vertical depth is T(h) = a + b·exp(-h/c), so the density is b/c·exp(-h/c).
+// A single layer with a = 0 is the plain isothermal (barometric) atmosphere.
+
+const CM_PER_KM = 1e5;
+
+export const atmospheres = {
+  "us-standard": {
+    label: "US STANDARD (LINSLEY)",
+    layers: [
+      { top: 4, a: -186.555305, b: 1222.6562, c: 9.9418638 },
+      { top: 10, a: -94.919, b: 1144.9069, c: 8.7815355 },
+      { top: 40, a: 0.61289, b: 1305.5948, c: 6.3614304 },
+      { top: 100, a: 0, b: 540.1778, c: 7.7217016 },
+    ],
+  },
+  // Isothermal approximations of the AFGL seasonal models (sea-level density
+  // times scale height gives the ground depth).
+  tropical: {
+    label: "TROPICAL",
+    layers: [{ top: Infinity, a: 0, b: 1027, c: 8.8 }],
+  },
+  "subarctic-winter": {
+    label: "SUBARCTIC WINTER",
+    layers: [{ top: Infinity, a: 0, b: 1046, c: 7.5 }],
+  },
+  isothermal: {
+    label: "ISOTHERMAL 8 KM",
+    layers: [{ top: Infinity, a: 0, b: 1030, c: 8.0 }],
+  },
+};
+
+function layerAt(profile, altitude) {
+  const { layers } = profile;
+  for (const layer of layers) {
+    if (altitude < layer.top) return layer;
+  }
+  return layers[layers.length - 1];
+}
+
+export function getAtmosphere(key) {
+  return atmospheres[key] || atmospheres["us-standard"];
+}
+
+// Vertical depth above `altitude` km in g/cm².
+export function verticalDepth(profile, altitude) {
+  const { a, b, c } = layerAt(profile, Math.max(0, altitude));
+  return Math.max(0, a + b * Math.exp(-Math.max(0, altitude) / c));
+}
+
+// Air density at `altitude` km in g/cm³.
+export function density(profile, altitude) {
+  const { b, c } = layerAt(profile, Math.max(0, altitude));
+  return (b / (c * CM_PER_KM)) * Math.exp(-Math.max(0, altitude) / c);
+}
+
+// Grammage traversed along a straight segment of `length` km between two
+// altitudes. Vertical steps use the exact depth difference; the slant factor
+// scales it for inclined paths, with the midpoint density as the fallback for
+// horizontal ones. Callers that already know the vertical depths at both ends
+// can pass them in.
+export function segmentGrammage(
+  profile,
+  fromAltitude,
+  toAltitude,
+  length,
+  fromDepth = verticalDepth(profile, fromAltitude),
+  toDepth = verticalDepth(profile, toAltitude),
+) {
+  const rise = Math.abs(toAltitude - fromAltitude);
+  if (rise > 1e-6 * length) {
+    const vertical = Math.abs(fromDepth - toDepth);
+    return vertical * (length / rise);
+  }
+  return density(profile, (fromAltitude + toAltitude) / 2) * length * CM_PER_KM;
+}
+
+// Inverse of verticalDepth, by bisection (depth falls monotonically with altitude).
+export function altitudeAtDepth(profile, depth, ceiling = 120) {
+  let low = 0;
+  let high = ceiling;
+  for (let i = 0; i < 40; i += 1) {
+    const mid = (low + high) / 2;
+    if (verticalDepth(profile, mid) > depth) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
@@ -0,0 +1,280 @@
+// Main-thread side of a Simulation running in a Web Worker (worker.js). It
+// keeps the slice of the Simulation surface the app reads, as of the worker's
+// latest frame: params, seeds, time, shower records, counts and the same
+// `primary`, `hit` and `showerEnd` events, whose particles and showers are
+// plain copies. `frame` holds the latest particle buffers for drawing. The
+// `particle`, `decay` and `step` events are forwarded too, but only while
+// something listens to them.
+//
+// Extra events: `inspect` when the worker answers a select(), `recording` when
+// a recording finishes and `error` when the worker fails. `telescope` holds
+// the telescope's latest camera images while one is set up.
+import { randomSeed } from "./rng.js";
+import { DEFAULT_PARAMS } from "./simulation.js";
+import { defineSpecies } from "./species.js";
+import { Vec3 } from "./vec3.js";
+
+// Events the worker only sends on request.
+const REQUESTED_EVENTS = ["particle", "decay", "step"];
+
+// Typed arrays of a frame's particle buffers, transferred between threads.
+export const FRAME_BUFFERS = ["previous", "current", "species", "share", "handles", "versions", "slotShowers"];
+
+const EMPTY_COUNTS = { muon: 0, muonPlus: 0, muonMinus: 0, gamma: 0, electron: 0, hadrons: 0, total: 0 };
+
+export class SimulationClient {
+  constructor(params = {}, { seed = null } = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.sessionSeed = (seed ?? randomSeed()) >>> 0;
+    this.time = 0;
+    this.lastPrimary = null;
+    this.droppedParticles = 0;
+    // Shower records by id; `showers` lists the worker's recent ones in order.
+    this.showerRecords = new Map();
+    this.showers = [];
+    this.latestCounts = { ...EMPTY_COUNTS };
+    // Latest particle buffers: `length` particles with float32 positions
+    // before (`previous`) and after (`current`) the last step, species index,
+    // energy share of the primary, pool handle and version, and shower id
+    // (`slotShowers`).
+    this.frame = null;
+    this.stepFraction = 0;
+    // Recorder progress while recording ({ duration, bytes, frames }), else null.
+    this.recording = null;
+    // { config, photons, version, cherenkov, fluorescence } of the telescope
+    // (see optics.js) as of its last change, or null; images still in flight
+    // after the telescope is removed are ignored.
+    this.telescope = null;
+    this.telescopeActive = false;
+    // Selection number and the worker's latest report on it.
+    this.selection = 0;
+    this.inspection = null;
+    // Wall time not yet sent while an advance is in flight; buffers to return.
+    this.pendingElapsed = 0;
+    this.waiting = false;
+    this.spare = null;
+    this.requests = new Map();
+    this.nextRequest = 0;
+    this.listeners = {};
+    this.worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = (event) => this.fail(event.message);
+    this.worker.onmessageerror = () => this.fail("could not read a message from the simulation worker");
+    this.worker.postMessage({ type: "init", params: this.params, seed: this.sessionSeed });
+  }
+
+  on(event, listener) {
+    (this.listeners[event] ||= []).push(listener);
+    const requested = REQUESTED_EVENTS.includes(event);
+    if (requested && this.listeners[event].length === 1) this.worker.postMessage({ type: "subscribe", event });
+    return () => {
+      this.listeners[event] = this.listeners[event].filter((fn) => fn !== listener);
+      if (requested && !this.listeners[event].length) this.worker.postMessage({ type: "unsubscribe", event });
+    };
+  }
+
+  emit(event, payload) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+    for (const listener of listeners) listener(payload);
+  }
+
+  setParams(patch) {
+    Object.assign(this.params, patch);
+    this.worker.postMessage({ type: "params", patch });
+  }
+
+  setSeed(seed) {
+    this.sessionSeed = seed >>> 0;
+    this.worker.postMessage({ type: "seed", seed: this.sessionSeed });
+  }
+
+  // Runs `count` fixed steps of `params.timestep` at once, whatever the speed
+  // and however many advance() would allow.
+  runSteps(count) {
+    this.worker.postMessage({ type: "steps", count });
+  }
+
+  // Takes the same arguments as Simulation#spawnPrimary; the primary arrives
+  // with the next `primary` event.
+  spawnPrimary(primaryType = this.params.primaryType, options = {}) {
+    this.worker.postMessage({ type: "spawn", primaryType, options });
+  }
+
+  replayLastPrimary() {
+    this.worker.postMessage({ type: "replay" });
+  }
+
+  clear() {
+    this.worker.postMessage({ type: "clear" });
+  }
+
+  // Extends the species registry on both threads (see species.js#defineSpecies);
+  // throws without sending anything when a definition is invalid.
+  defineSpecies(definitions) {
+    const names = defineSpecies(definitions);
+    this.worker.postMessage({ type: "species", definitions });
+    return names;
+  }
+
+  // Asks the worker to run `elapsed` more seconds of wall time (see
+  // Simulation#advance). While it is busy the time adds up and goes with the
+  // next request, so a slow worker never queues work behind the display.
+  advance(elapsed) {
+    this.pendingElapsed += elapsed;
+    if (this.waiting) return;
+    this.waiting = true;
+    const { spare } = this;
+    const transfer = spare ? FRAME_BUFFERS.map((name) => spare[name].buffer) : [];
+    this.worker.postMessage({ type: "advance", elapsed: this.pendingElapsed, spare }, transfer);
+    this.pendingElapsed = 0;
+    this.spare = null;
+  }
+
+  // A failed worker may never answer the advance in flight; the next one
+  // goes out regardless, so the display does not stall.
+  fail(message) {
+    this.waiting = false;
+    this.emit("error", message);
+  }
+
+  counts() {
+    return this.latestCounts;
+  }
+
+  inFlightEnergy(shower) {
+    return shower.inFlight ?? 0;
+  }
+
+  showerFront(shower) {
+    return shower.front ?? null;
+  }
+
+  // Inspects the particle at `slot` of the current frame; -1 clears. The
+  // worker reports on it with every frame from then on (`inspection`).
+  select(slot) {
+    this.selection += 1;
+    this.inspection = null;
+    const { frame } = this;
+    const target =
+      frame && slot >= 0 && slot < frame.length ? { handle: frame.handles[slot], version: frame.versions[slot] } : null;
+    this.worker.postMessage({ type: "select", selection: this.selection, target });
+  }
+
+  // Genealogy nodes `ids` of a shower (see Genealogy#node), null for unknown ones.
+  nodes(shower, ids) {
+    this.nextRequest += 1;
+    const request = this.nextRequest;
+    return new Promise((resolve) => {
+      this.requests.set(request, resolve);
+      this.worker.postMessage({ type: "nodes", request, shower: shower.id, ids });
+    });
+  }
+
+  // Sets up or moves the telescope (a DEFAULT_TELESCOPE patch); null removes it.
+  setTelescope(config) {
+    this.telescopeActive = Boolean(config);
+    if (!config) this.telescope = null;
+    this.worker.postMessage({ type: "telescope", config });
+  }
+
+  resetTelescope() {
+    this.worker.postMessage({ type: "resetTelescope" });
+  }
+
+  startRecording() {
+    this.recording = { duration: 0, bytes: 0, frames: 0 };
+    this.worker.postMessage({ type: "record" });
+  }
+
+  stopRecording() {
+    this.worker.postMessage({ type: "stopRecording" });
+  }
+
+  receive(message) {
+    switch (message.type) {
+      case "frame":
+        this.applyFrame(message);
+        break;
+      case "inspection":
+        this.applyInspection(message.selection, message.inspection);
+        break;
+      case "nodes":
+        this.requests.get(message.request)?.(message.nodes);
+        this.requests.delete(message.request);
+        break;
+      case "recording":
+        this.recording = null;
+        this.emit("recording", message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  applyFrame(frame) {
+    if (frame.reply === "advance") this.waiting = false;
+    this.time = frame.time;
+    this.stepFraction = frame.stepFraction;
+    this.sessionSeed = frame.sessionSeed;
+    this.lastPrimary = frame.lastPrimary;
+    this.droppedParticles = frame.dropped;
+    if (this.recording) this.recording = frame.recorder ?? this.recording;
+    if (frame.telescope && this.telescopeActive) this.telescope = frame.telescope;
+    if (frame.particles) {
+      // The buffers being replaced go back with the next advance.
+      this.spare = this.frame;
+      this.frame = frame.particles;
+      this.latestCounts = frame.counts;
+      for (const state of frame.showers) Object.assign(this.showerRecord(state.id), state);
+    }
+    this.showers = frame.showerIds.map((id) => this.showerRecord(id));
+    if (frame.inspection) this.applyInspection(frame.inspection.selection, frame.inspection);
+    for (const { event, payload } of frame.events) {
+      if (event === "primary") {
+        const { particle, shower } = payload;
+        this.emit("primary", { ...payload, particle: this.particle(particle), shower: this.showerRecord(shower) });
+      } else if (event === "hit" || event === "particle") {
+        this.emit(event, this.particle(payload));
+      } else if (event === "decay") {
+        const products = payload.products.map((state) => this.particle(state));
+        this.emit("decay", { particle: this.particle(payload.particle), products });
+      } else if (event === "step") {
+        this.emit(event, payload);
+      } else {
+        this.emit(event, this.showerRecord(payload));
+      }
+    }
+    // Forgets showers the worker no longer lists once they are over.
+    const listed = new Set(frame.showerIds);
+    for (const [id, shower] of this.showerRecords) {
+      if (!listed.has(id) && !shower.alive) this.showerRecords.delete(id);
+    }
+  }
+
+  applyInspection(selection, inspection) {
+    if (selection !== this.selection) return;
+    const first = !this.inspection;
+    this.inspection = inspection && { ...inspection, particle: this.particle(inspection.particle) };
+    if (first) this.emit("inspect", this.inspection);
+  }
+
+  showerRecord(id) {
+    let shower = this.showerRecords.get(id);
+    if (!shower) {
+      shower = { id, alive: 0 };
+      this.showerRecords.set(id, shower);
+    }
+    return shower;
+  }
+
+  // A particle copy as the Simulation emits it: vectors and its shower record.
+  particle(state) {
+    return {
+      ...state,
+      position: new Vec3().copy(state.position),
+      velocity: new Vec3().copy(state.velocity),
+      shower: this.showerRecord(state.shower),
+    };
+  }
+}
@@ -0,0 +1,49 @@
+// Primary composition for Auto-Cascade: a mixture of species with relative
+// weights (any scale; they are normalised when drawn).
+
+export const DEFAULT_COMPOSITION = {
+  proton: 80,
+  helium: 15,
+  iron: 5,
+  gamma: 0,
+};
+
+// Normalised shares of a mixture, dropping non-positive weights.
+export function compositionShares(mixture) {
+  const entries = Object.entries(mixture || {}).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const shares = {};
+  for (const [type, weight] of entries) shares[type] = weight / total;
+  return shares;
+}
+
+// Draws a species from the mixture; null when every weight is zero.
+export function sampleSpecies(rng, mixture) {
+  const entries = Object.entries(compositionShares(mixture));
+  if (!entries.length) return null;
+  let pick = rng();
+  for (const [type, share] of entries) {
+    pick -= share;
+    if (pick < 0) return type;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// "proton:80,helium:15,iron:5" <-> { proton: 80, helium: 15, iron: 5 }.
+// Returns null when nothing usable is found.
+export function parseComposition(text) {
+  if (!text) return null;
+  const mixture = {};
+  for (const part of String(text).split(",")) {
+    const [type, weight] = part.split(":").map((value) => value.trim());
+    const value = parseFloat(weight);
+    if (type && Number.isFinite(value) && value >= 0) mixture[type.toLowerCase()] = value;
+  }
+  return Object.keys(mixture).length ? mixture : null;
+}
+
+export function formatComposition(mixture) {
+  return Object.entries(mixture)
+    .map(([type, weight]) => `${type}:${weight}`)
+    .join(",");
+}
@@ -0,0 +1,217 @@
+// Detector volumes in the scene: scintillator slabs and water tanks on the
+// ground and muon detectors buried under rock, each with an optional absorber
+// above it. Every particle that reaches the ground is followed straight down
+// its track to each detector; it registers when it lands on the detector's
+// footprint and its range in the absorber (by species and energy) is longer
+// than the slant grammage it has to cross, and is counted as absorbed
+// otherwise. Positions and sizes are in km, absorber thicknesses in metres,
+// energies in TeV and grammage in g/cm².
+import { KM_PER_UNIT, groundCrossing } from "./simulation.js";
+import { GROUPS, speciesGroup, speciesInfo } from "./species.js";
+
+// Absorber materials: density (g/cm³), radiation length X0 and nuclear
+// interaction length (g/cm²), critical energy, and the muon energy loss
+// dE/dX = a + b·E (TeV·cm²/g and cm²/g).
+export const ABSORBERS = {
+  none: { label: "NONE", density: 0, radiationLength: 1, interactionLength: 1, criticalEnergy: 1, a: 1, b: 1 },
+  rock: {
+    label: "STANDARD ROCK",
+    density: 2.65,
+    radiationLength: 26.5,
+    interactionLength: 101.3,
+    criticalEnergy: 4.2e-5,
+    a: 2.2e-6,
+    b: 4.0e-6,
+  },
+  concrete: {
+    label: "CONCRETE",
+    density: 2.3,
+    radiationLength: 26.6,
+    interactionLength: 99.9,
+    criticalEnergy: 4.9e-5,
+    a: 2.2e-6,
+    b: 3.9e-6,
+  },
+  water: {
+    label: "WATER",
+    density: 1.0,
+    radiationLength: 36.1,
+    interactionLength: 83.3,
+    criticalEnergy: 7.8e-5,
+    a: 2.5e-6,
+    b: 3.3e-6,
+  },
+  iron: {
+    label: "IRON",
+    density: 7.87,
+    radiationLength: 13.8,
+    interactionLength: 132.1,
+    criticalEnergy: 2.2e-5,
+    a: 1.9e-6,
+    b: 6.0e-6,
+  },
+  lead: {
+    label: "LEAD",
+    density: 11.35,
+    radiationLength: 6.37,
+    interactionLength: 199.6,
+    criticalEnergy: 7.4e-6,
+    a: 1.5e-6,
+    b: 1.3e-5,
+  },
+};
+
+// What each kind of detector is made of and sees: `photons` when gammas
+// convert in it (a water tank) rather than pass through unseen, `buried` when
+// it sits under its absorber rather than on the ground with the absorber as
+// a cover. The other fields are the defaults of a new detector.
+export const DETECTOR_KINDS = {
+  slab: { label: "SCINTILLATOR SLAB", short: "SLAB", photons: false, buried: false, absorber: "none", thickness: 0 },
+  tank: { label: "WATER TANK", short: "TANK", photons: true, buried: false, absorber: "none", thickness: 0 },
+  buried: {
+    label: "BURIED MUON DETECTOR",
+    short: "MUON",
+    photons: false,
+    buried: true,
+    absorber: "rock",
+    thickness: 30,
+  },
+};
+
+// The detectors the HUD starts with.
+export const DEFAULT_DETECTORS = [
+  { kind: "slab", x: -4, z: 0, size: 2 },
+  { kind: "tank", x: 0, z: 4, size: 2 },
+  { kind: "buried", x: 4, z: 0, size: 2 },
+];
+
+// The placed detectors as one string for presets and links: per detector
+// `kind,x,z,size,absorber,thickness`, separated by semicolons.
+export function encodeDetectors(detectors) {
+  return detectors
+    .map(({ kind, x, z, size, absorber, thickness }) => [kind, x, z, size, absorber, thickness].join(","))
+    .join(";");
+}
+
+// Inverse of encodeDetectors; entries of unknown kinds or absorbers, or with
+// bad numbers, are left out.
+export function decodeDetectors(text) {
+  const detectors = [];
+  for (const entry of text.split(";")) {
+    const [kind, x, z, size, absorber, thickness] = entry.split(",");
+    const numbers = [x, z, size, thickness].map(Number);
+    if (!DETECTOR_KINDS[kind] || !ABSORBERS[absorber] || !numbers.every(Number.isFinite)) continue;
+    detectors.push({ kind, x: numbers[0], z: numbers[1], size: numbers[2], absorber, thickness: numbers[3] });
+  }
+  return detectors;
+}
+
+// Grammage (g/cm²) a particle of this species and energy gets through before
+// it stops: muons lose energy continuously, e± by ionisation below the
+// critical energy and by showering above it, photons within a few radiation
+// lengths and hadrons within a few interaction lengths, more for more energy.
+export function absorberRange(absorber, type, energy) {
+  const info = speciesInfo(type);
+  if (!info || info.escapes) return Infinity;
+  const { radiationLength, interactionLength, criticalEnergy, a, b } = absorber;
+  switch (info.interaction) {
+    case "electron":
+      if (energy <= criticalEnergy) return energy / a;
+      return criticalEnergy / a + radiationLength * Math.log(energy / criticalEnergy);
+    case "photon":
+      return (9 / 7) * radiationLength * (1 + Math.log1p(energy / criticalEnergy));
+    case "hadronic":
+      return interactionLength * (1 + Math.log1p(energy / 1e-3));
+    default:
+      return Math.log1p((b * energy) / a) / b;
+  }
+}
+
+export class DetectorVolumes {
+  constructor(detectors = DEFAULT_DETECTORS) {
+    this.detectors = [];
+    this.nextId = 1;
+    for (const detector of detectors) this.add(detector);
+  }
+
+  // `kind` is a key of DETECTOR_KINDS; `x` (east) and `z` (south) place the
+  // centre of a square footprint `size` km wide; `absorber` and `thickness`
+  // (m) default to the kind's. Returns the detector.
+  add({ kind, x = 0, z = 0, size = 1, absorber, thickness }) {
+    const spec = DETECTOR_KINDS[kind];
+    if (!spec) throw new Error(`Unknown detector kind: ${kind}`);
+    absorber ??= spec.absorber;
+    if (!ABSORBERS[absorber]) throw new Error(`Unknown absorber: ${absorber}`);
+    const detector = {
+      id: this.nextId,
+      kind,
+      x,
+      z,
+      size,
+      absorber,
+      thickness: absorber === "none" ? 0 : (thickness ?? spec.thickness),
+      // Particles that got through to the detector and were seen, those the
+      // absorber stopped, and those that got through unseen (neutral ones a
+      // slab cannot see), per species group.
+      registered: {},
+      absorbed: {},
+      unseen: {},
+    };
+    this.nextId += 1;
+    this.reset(detector);
+    this.detectors.push(detector);
+    return detector;
+  }
+
+  remove(id) {
+    this.detectors = this.detectors.filter((detector) => detector.id !== id);
+  }
+
+  // Replaces all detectors with new ones as listed (see add).
+  replace(detectors) {
+    this.detectors = [];
+    for (const detector of detectors) this.add(detector);
+  }
+
+  // Zeroes the counters of one detector, or of all.
+  reset(detector = null) {
+    for (const target of detector ? [detector] : this.detectors) {
+      for (const counter of [target.registered, target.absorbed, target.unseen]) {
+        for (const group of GROUPS) counter[group] = 0;
+      }
+    }
+  }
+
+  // Call for every particle the simulation reports on the ground. Returns the
+  // detectors that registered it.
+  record(particle) {
+    const group = speciesGroup(particle.type);
+    if (!group) return [];
+    const crossing = groundCrossing(particle);
+    const { velocity } = particle;
+    const speed = velocity.length() || 1;
+    const cosZenith = Math.max(0.05, -velocity.y / speed);
+    const info = speciesInfo(particle.type);
+    const registered = [];
+    for (const detector of this.detectors) {
+      const spec = DETECTOR_KINDS[detector.kind];
+      const absorber = ABSORBERS[detector.absorber];
+      // A buried detector is met where the track reaches its depth.
+      const depth = spec.buried ? detector.thickness / 1000 : 0;
+      const x = crossing.x * KM_PER_UNIT + (velocity.x / speed / cosZenith) * depth;
+      const z = crossing.z * KM_PER_UNIT + (velocity.z / speed / cosZenith) * depth;
+      const half = detector.size / 2;
+      if (Math.abs(x - detector.x) > half || Math.abs(z - detector.z) > half) continue;
+      const grammage = (absorber.density * detector.thickness * 100) / cosZenith;
+      if (grammage > 0 && absorberRange(absorber, particle.type, particle.energy) < grammage) {
+        detector.absorbed[group] += 1;
+      } else if (particle.charge !== 0 || (spec.photons && info.interaction === "photon")) {
+        detector.registered[group] += 1;
+        registered.push(detector);
+      } else {
+        detector.unseen[group] += 1;
+      }
+    }
+    return registered;
+  }
+}
@@ -0,0 +1,92 @@
+// Shower genealogy: one node per particle a shower ever held, indexed by
+// particle id, in typed arrays so large showers do not leave millions of
+// small objects behind. Children are linked first-to-last through
+// `firstChild`/`nextSibling`. `node(id)` builds a plain object on demand.
+
+export const PROCESSES = ["primary", "interaction", "decay"];
+
+const FIELDS = {
+  species: Uint8Array,
+  parent: Int32Array,
+  generation: Uint16Array,
+  process: Uint8Array,
+  energy: Float64Array,
+  altitude: Float32Array,
+  x: Float32Array,
+  y: Float32Array,
+  z: Float32Array,
+  firstChild: Int32Array,
+  lastChild: Int32Array,
+  nextSibling: Int32Array,
+  childCount: Uint32Array,
+};
+
+export class Genealogy {
+  // `species` maps the stored species index back to its name.
+  constructor(species, capacity = 256) {
+    this.speciesNames = species;
+    this.length = 0;
+    this.capacity = 0;
+    this.grow(capacity);
+  }
+
+  grow(capacity) {
+    for (const [name, ArrayType] of Object.entries(FIELDS)) {
+      const array = new ArrayType(capacity);
+      if (this[name]) array.set(this[name].subarray(0, this.length));
+      this[name] = array;
+    }
+    this.capacity = capacity;
+  }
+
+  // Files a particle and returns its id. `parent` is -1 for the primary.
+  add(speciesIndex, parent, generation, process, energy, altitude, x, y, z) {
+    if (this.length === this.capacity) this.grow(this.capacity * 2);
+    const id = this.length;
+    this.length += 1;
+    this.species[id] = speciesIndex;
+    this.parent[id] = parent;
+    this.generation[id] = generation;
+    this.process[id] = PROCESSES.indexOf(process);
+    this.energy[id] = energy;
+    this.altitude[id] = altitude;
+    this.x[id] = x;
+    this.y[id] = y;
+    this.z[id] = z;
+    this.firstChild[id] = -1;
+    this.lastChild[id] = -1;
+    this.nextSibling[id] = -1;
+    this.childCount[id] = 0;
+    if (parent >= 0) {
+      if (this.lastChild[parent] < 0) this.firstChild[parent] = id;
+      else this.nextSibling[this.lastChild[parent]] = id;
+      this.lastChild[parent] = id;
+      this.childCount[parent] += 1;
+    }
+    return id;
+  }
+
+  children(id) {
+    const ids = [];
+    for (let child = this.firstChild[id]; child >= 0; child = this.nextSibling[child]) ids.push(child);
+    return ids;
+  }
+
+  // Type, parent (null for the primary), generation, the process that made
+  // it, its energy, altitude (km) and position at birth, and its children.
+  node(id) {
+    if (!(id >= 0 && id < this.length)) return null;
+    const parent = this.parent[id];
+    return {
+      id,
+      type: this.speciesNames[this.species[id]],
+      parent: parent < 0 ? null : parent,
+      generation: this.generation[id],
+      process: PROCESSES[this.process[id]],
+      energy: this.energy[id],
+      altitude: this.altitude[id],
+      position: { x: this.x[id], y: this.y[id], z: this.z[id] },
+      children: this.children(id),
+    };
+  }
+}
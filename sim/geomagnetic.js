@@ -0,0 +1,56 @@
+// Geomagnetic field and the Lorentz-force bending of charged tracks. Scene axes:
+// +x points east, +y up and -z north. Field strengths are in µT, angles in
+// degrees; inclination is positive when the field dips below the horizon
+// (northern hemisphere), declination is measured from north towards east.
+import { Vec3 } from "./vec3.js";
+
+// Approximate IGRF values at a few observatory sites.
+export const fieldPresets = {
+  off: { label: "OFF", strength: 0, inclination: 0, declination: 0 },
+  malargue: { label: "MALARGÜE (AUGER)", strength: 24.6, inclination: -35.2, declination: 2.6 },
+  lapalma: { label: "LA PALMA (MAGIC)", strength: 38.5, inclination: 37.5, declination: -5.0 },
+  kamioka: { label: "KAMIOKA (SUPER-K)", strength: 46.5, inclination: 48.5, declination: -7.7 },
+  southpole: { label: "SOUTH POLE (ICECUBE)", strength: 54.5, inclination: -72.4, declination: -29.0 },
+};
+
+const DEG = Math.PI / 180;
+// Bending per metre is 0.3·B[T]·q/p[GeV/c] radians.
+const BEND_PER_TESLA_METRE = 0.299792458;
+// Cap on the bend per step so exaggerated fields curl tracks instead of
+// flipping them around in one jump.
+const MAX_STEP_ANGLE = 0.5;
+
+// Field vector in tesla, in scene axes.
+export function fieldVector(field) {
+  const strength = (field?.strength || 0) * 1e-6;
+  const inclination = (field?.inclination || 0) * DEG;
+  const declination = (field?.declination || 0) * DEG;
+  const horizontal = strength * Math.cos(inclination);
+  return new Vec3(
+    horizontal * Math.sin(declination),
+    -strength * Math.sin(inclination),
+    -horizontal * Math.cos(declination),
+  );
+}
+
+// Turns `velocity` (in place) along the Lorentz force q·v×B for a path of
+// `length` km, keeping its speed. `momentum` is in GeV/c.
+export function deflect(velocity, charge, momentum, field, length) {
+  if (!charge || !(momentum > 0)) return;
+  const speed = velocity.length();
+  if (!speed) return;
+  const vx = velocity.x / speed;
+  const vy = velocity.y / speed;
+  const vz = velocity.z / speed;
+  // v̂×B has magnitude B·sinα, so this is the direction change of the track.
+  const cx = vy * field.z - vz * field.y;
+  const cy = vz * field.x - vx * field.z;
+  const cz = vx * field.y - vy * field.x;
+  const scale = (BEND_PER_TESLA_METRE * charge * length * 1000) / momentum;
+  const angle = Math.hypot(cx, cy, cz) * Math.abs(scale);
+  const limit = angle > MAX_STEP_ANGLE ? MAX_STEP_ANGLE / angle : 1;
+  velocity
+    .set(vx + cx * scale * limit, vy + cy * scale * limit, vz + cz * scale * limit)
+    .normalize()
+    .multiplyScalar(speed);
+}
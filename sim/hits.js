@@ -0,0 +1,109 @@
+// Structured ground hits: one record per particle the simulation reports on
+// the ground, with its shower, species, energy, landing point, arrival time
+// and direction, for export to CSV or JSON. Energies are in TeV, positions in
+// km, times in seconds and angles in degrees.
+import { KM_PER_UNIT, groundCrossing } from "./simulation.js";
+
+const DEG = Math.PI / 180;
+
+// Column order of the exports.
+export const HIT_FIELDS = [
+  "shower",
+  "seed",
+  "primary",
+  "particle",
+  "generation",
+  "type",
+  "charge",
+  "energy",
+  "x",
+  "z",
+  "time",
+  "zenith",
+  "azimuth",
+  "detectedAt",
+];
+
+// Keeps the latest `capacity` hits; older ones are counted in `dropped`.
+export class HitLog {
+  constructor({ capacity = 200000 } = {}) {
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  clear() {
+    this.hits = [];
+    this.start = 0;
+    this.dropped = 0;
+  }
+
+  get size() {
+    return this.hits.length;
+  }
+
+  // Call with a particle from the simulation's `hit` event, before its energy
+  // is booked away. `simTime` is the simulation clock.
+  record(particle, simTime) {
+    const { shower, velocity } = particle;
+    const crossing = groundCrossing(particle);
+    // The direction the particle came from, in the convention of arrivalVector.
+    const speed = velocity.length() || 1;
+    const hit = {
+      shower: shower.id,
+      seed: shower.seed,
+      primary: shower.type,
+      particle: particle.id,
+      generation: particle.generation,
+      type: particle.type,
+      charge: particle.charge,
+      energy: particle.energy,
+      x: crossing.x * KM_PER_UNIT,
+      z: crossing.z * KM_PER_UNIT,
+      time: crossing.time,
+      zenith: Math.acos(Math.min(1, Math.max(-1, -velocity.y / speed))) / DEG,
+      azimuth: (Math.atan2(-velocity.x, velocity.z) / DEG + 360) % 360,
+      detectedAt: simTime,
+    };
+    if (this.hits.length < this.capacity) {
+      this.hits.push(hit);
+    } else {
+      this.hits[this.start] = hit;
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped += 1;
+    }
+  }
+
+  // Hits oldest first, optionally only those of some species (a list of
+  // types) or of one shower id.
+  records({ species = null, shower = null } = {}) {
+    const ordered = this.start ? [...this.hits.slice(this.start), ...this.hits.slice(0, this.start)] : this.hits;
+    return ordered.filter(
+      (hit) => (!species || species.includes(hit.type)) && (shower === null || hit.shower === shower),
+    );
+  }
+
+  // `meta` describes the run (seed, parameters, ...) and is written as
+  // comment lines above the columns.
+  toCSV(meta = {}, filter = {}) {
+    const rows = this.records(filter).map((hit) => HIT_FIELDS.map((key) => hit[key]).join(","));
+    const header = Object.entries(exportMeta(meta, filter, rows.length, this.dropped)).map(
+      ([key, value]) => `# ${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`,
+    );
+    return [...header, HIT_FIELDS.join(","), ...rows].join("\n");
+  }
+
+  toJSON(meta = {}, filter = {}) {
+    const hits = this.records(filter);
+    return JSON.stringify({ meta: exportMeta(meta, filter, hits.length, this.dropped), fields: HIT_FIELDS, hits });
+  }
+}
+
+function exportMeta(meta, filter, count, dropped) {
+  return {
+    ...meta,
+    filter: { species: filter.species ?? "all", shower: filter.shower ?? "all" },
+    hits: count,
+    dropped,
+    units: { energy: "TeV", x: "km", z: "km", time: "s since injection", angles: "deg", detectedAt: "s" },
+  };
+}
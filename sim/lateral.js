@@ -0,0 +1,138 @@
+// Lateral distribution of a shower's ground hits: particle densities in
+// logarithmic rings around the core, measured in the shower plane, and an
+// NKG fit for shower size and age. Species are binned in SPECIES_GROUPS and
+// NKG is fitted to the e± group. Distances are in km, densities in particles
+// per km².
+import { KM_PER_UNIT, SPECIES_GROUPS, groundCrossing, speciesGroup } from "./simulation.js";
+
+// The simulated footprint is much wider than a real one (r_M ≈ 80 m at sea
+// level), so the Molière radius is scaled up to match it.
+export const DEFAULT_MOLIERE_RADIUS = 2.0;
+
+// Lanczos approximation of ln Γ(x) for x > 0.
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i += 1) sum += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// NKG density at `r` km for size N, age s and Molière radius rM (km):
+// ρ = N/(2π rM²) · C(s) · (r/rM)^(s-2) · (1 + r/rM)^(s-4.5).
+export function nkgDensity(r, size, age, moliere = DEFAULT_MOLIERE_RADIUS) {
+  const logC = logGamma(4.5 - age) - logGamma(age) - logGamma(4.5 - 2 * age);
+  const x = r / moliere;
+  return (size / (2 * Math.PI * moliere * moliere)) * Math.exp(logC) * x ** (age - 2) * (1 + x) ** (age - 4.5);
+}
+
+// Distance (km) from the core to a ground point, perpendicular to the axis.
+export function showerPlaneDistance(shower, x, z) {
+  const dx = x - shower.core.x;
+  const dz = z - shower.core.z;
+  const { axis } = shower;
+  const along = dx * axis.x + dz * axis.z;
+  return Math.sqrt(Math.max(0, dx * dx + dz * dz - along * along)) * KM_PER_UNIT;
+}
+
+export class LateralDistribution {
+  constructor(shower, { min = 0.05, max = 20, bins = 16 } = {}) {
+    this.shower = shower;
+    this.min = min;
+    this.max = max;
+    this.bins = bins;
+    this.counts = {};
+    for (const group in SPECIES_GROUPS) this.counts[group] = new Array(bins).fill(0);
+    this.total = 0;
+  }
+
+  edge(i) {
+    return this.min * (this.max / this.min) ** (i / this.bins);
+  }
+
+  // Area of ring i in the shower plane (km²).
+  ringArea(i) {
+    return Math.PI * (this.edge(i + 1) ** 2 - this.edge(i) ** 2);
+  }
+
+  // Call with a particle the simulation reports on the ground.
+  fill(particle) {
+    const group = speciesGroup(particle.type);
+    if (!group || !this.shower.core) return;
+    const { x, z } = groundCrossing(particle);
+    const r = showerPlaneDistance(this.shower, x, z);
+    // The innermost ring starts at `min`, so closer particles are left out
+    // like those beyond `max` rather than crowding its density.
+    if (r < this.min || r >= this.max) return;
+    const t = Math.log(r / this.min) / Math.log(this.max / this.min);
+    this.counts[group][Math.min(this.bins - 1, Math.floor(t * this.bins))] += 1;
+    this.total += 1;
+  }
+
+  densities(group) {
+    return this.counts[group].map((count, i) => count / this.ringArea(i));
+  }
+
+  // Poisson maximum-likelihood NKG fit to one group. For each age on a grid
+  // the size has a closed form (observed over expected counts); the age with
+  // the best likelihood wins. Null with too few particles to say anything.
+  fitNKG(group = "electron", moliere = DEFAULT_MOLIERE_RADIUS) {
+    const counts = this.counts[group];
+    const observed = counts.reduce((sum, count) => sum + count, 0);
+    if (observed < 10) return null;
+    let best = null;
+    for (let age = 0.4; age <= 2.2; age += 0.01) {
+      // Expected counts per ring for unit size, from the density at the ring's
+      // geometric centre.
+      const unit = counts.map((_, i) => {
+        const r = Math.sqrt(this.edge(i) * this.edge(i + 1));
+        return nkgDensity(r, 1, age, moliere) * this.ringArea(i);
+      });
+      const size = observed / unit.reduce((sum, value) => sum + value, 0);
+      let logLikelihood = 0;
+      counts.forEach((count, i) => {
+        const expected = size * unit[i];
+        logLikelihood += (count ? count * Math.log(expected) : 0) - expected;
+      });
+      if (!best || logLikelihood > best.logLikelihood) best = { size, age, moliere, logLikelihood };
+    }
+    return best;
+  }
+
+  // Rows of ring edges, counts and densities per group, plus the fitted NKG
+  // density, ready to serialise.
+  table(fit = this.fitNKG()) {
+    const rows = [];
+    for (let i = 0; i < this.bins; i += 1) {
+      const low = this.edge(i);
+      const high = this.edge(i + 1);
+      const r = Math.sqrt(low * high);
+      const row = { rMin: low, rMax: high, r };
+      for (const group in SPECIES_GROUPS) {
+        row[`${group}Count`] = this.counts[group][i];
+        row[`${group}Density`] = this.counts[group][i] / this.ringArea(i);
+      }
+      row.nkgDensity = fit ? nkgDensity(r, fit.size, fit.age, fit.moliere) : null;
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  toCSV(fit = this.fitNKG()) {
+    const rows = this.table(fit);
+    const header = Object.keys(rows[0]);
+    const lines = rows.map((row) => header.map((key) => (row[key] === null ? "" : row[key])).join(","));
+    const { shower } = this;
+    const meta = [
+      `# shower ${shower.id} ${shower.type} ${shower.energy.toFixed(3)} TeV seed ${shower.seed}`,
+      fit ? `# nkg size ${fit.size.toFixed(1)} age ${fit.age.toFixed(2)} moliere ${fit.moliere} km` : "# nkg none",
+    ];
+    return [...meta, header.join(","), ...lines].join("\n");
+  }
+}
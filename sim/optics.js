@@ -0,0 +1,194 @@
+// Optical subsystem: the light of the cascade's charged particles as seen by a
+// telescope on the ground. After every simulation step each charged particle
+// emits along the segment it just travelled:
+//
+// - fluorescence, isotropic, in proportion to the energy it deposited in the
+//   air (4 photons per MeV at 2.2 MeV per g/cm²);
+// - Cherenkov light once it is faster than light in the air there, i.e. above
+//   the threshold energy m / sqrt(2δ) of its species, with n = 1 + δ following
+//   the air density. The Frank-Tamm yield (7.6e4 photons per metre times
+//   sin²θc over 300-600 nm) is beamed along the particle's direction, spread
+//   over the cone angle θc and the scatter of the particles' directions.
+//
+// The telescope collects what reaches its mirror through an attenuating
+// atmosphere and projects it onto a square camera of pixels, so the shower
+// image builds up over time until reset. Counts are photons at the mirror.
+import { density, getAtmosphere } from "./atmosphere.js";
+import { GROUND_LEVEL, KM_PER_UNIT, altitudeKm, arrivalVector } from "./simulation.js";
+import { SPECIES_INFO } from "./species.js";
+
+const DEG = Math.PI / 180;
+const SEA_LEVEL_DENSITY = 1.225e-3; // g/cm³
+const SEA_LEVEL_DELTA = 2.83e-4;
+const FLUORESCENCE_YIELD = 4; // photons per MeV deposited
+const DEPOSIT_RATE = 2.2; // MeV per g/cm²
+const CHERENKOV_YIELD = 7.6e4; // photons per metre per sin²θc
+// Width of the Cherenkov light of one particle around its direction besides
+// the cone itself, and the distance over which the air dims the light.
+const CHERENKOV_SCATTER = 2 * DEG;
+const ATTENUATION_LENGTH = 15; // km
+// Samples along a segment at most, so fast particles draw lines on the camera.
+const MAX_SAMPLES = 6;
+
+// Position (km east and south), pointing (elevation above the horizon and
+// azimuth from north towards east, in degrees), full field of view in degrees,
+// camera pixels per side and mirror area in m².
+export const DEFAULT_TELESCOPE = {
+  x: 0,
+  z: 10,
+  elevation: 15,
+  azimuth: 0,
+  fov: 30,
+  pixels: 32,
+  mirrorArea: 10,
+};
+
+// Refractive index minus one of air at `altitude` km.
+export function refractivity(profile, altitude) {
+  return (SEA_LEVEL_DELTA * density(profile, altitude)) / SEA_LEVEL_DENSITY;
+}
+
+// Energy in TeV above which a particle of this mass (GeV) emits Cherenkov
+// light; Infinity for massless species. Only charged particles radiate, which
+// is left to the caller (collect() skips neutral ones).
+export function cherenkovThreshold(mass, delta) {
+  if (!mass) return Infinity;
+  const n = 1 + delta;
+  return mass / Math.sqrt(1 - 1 / (n * n)) / 1000;
+}
+
+export class Telescope {
+  constructor(sim, config = {}) {
+    this.sim = sim;
+    this.config = { ...DEFAULT_TELESCOPE };
+    this.configure(config);
+    this.unsubscribe = sim.on("step", () => this.collect());
+  }
+
+  // Applies a config patch; moving, pointing or resizing the camera starts a
+  // new image.
+  configure(patch) {
+    Object.assign(this.config, patch);
+    const { x, z, elevation, azimuth } = this.config;
+    this.position = { x: x / KM_PER_UNIT, y: GROUND_LEVEL, z: z / KM_PER_UNIT };
+    // Camera basis: `forward` along the optical axis, `right` horizontal and
+    // `up` completing it (up in the image).
+    const forward = arrivalVector(90 - elevation, azimuth);
+    const right = { x: -forward.z, y: 0, z: forward.x };
+    const norm = Math.hypot(right.x, right.z) || 1;
+    right.x /= norm;
+    right.z /= norm;
+    if (norm < 1e-6) right.x = 1;
+    this.forward = forward;
+    this.right = right;
+    this.up = {
+      x: right.y * forward.z - right.z * forward.y,
+      y: right.z * forward.x - right.x * forward.z,
+      z: right.x * forward.y - right.y * forward.x,
+    };
+    this.reset();
+  }
+
+  reset() {
+    const cells = this.config.pixels * this.config.pixels;
+    this.cherenkov = new Float32Array(cells);
+    this.fluorescence = new Float32Array(cells);
+    this.photons = { cherenkov: 0, fluorescence: 0 };
+    this.version = (this.version ?? 0) + 1;
+  }
+
+  stop() {
+    this.unsubscribe();
+  }
+
+  // Camera pixel that sees the direction (dx, dy, dz) from the telescope
+  // (unit vector), or -1 outside the field of view.
+  pixelOf(dx, dy, dz) {
+    const { forward, right, up } = this;
+    const depth = dx * forward.x + dy * forward.y + dz * forward.z;
+    if (depth <= 0) return -1;
+    const { fov, pixels } = this.config;
+    const half = (fov / 2) * DEG;
+    const u = Math.atan((dx * right.x + dy * right.y + dz * right.z) / depth) / half;
+    const v = Math.atan((dx * up.x + dy * up.y + dz * up.z) / depth) / half;
+    if (u <= -1 || u >= 1 || v <= -1 || v >= 1) return -1;
+    const column = Math.floor(((u + 1) / 2) * pixels);
+    const row = Math.floor(((1 - v) / 2) * pixels);
+    return row * pixels + column;
+  }
+
+  collect() {
+    const pool = this.sim.particles;
+    const profile = getAtmosphere(this.sim.params.atmosphere);
+    const { x: tx, y: ty, z: tz } = this.position;
+    const { fov, pixels, mirrorArea } = this.config;
+    const pixelAngle = (fov * DEG) / pixels;
+    let added = false;
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      if (pool.charge[slot] === 0) continue;
+      const k = slot * 3;
+      const ax = pool.previous[k];
+      const ay = pool.previous[k + 1];
+      const az = pool.previous[k + 2];
+      const sx = pool.render[k] - ax;
+      const sy = pool.render[k + 1] - ay;
+      const sz = pool.render[k + 2] - az;
+      const length = Math.hypot(sx, sy, sz) * KM_PER_UNIT;
+      if (!length) continue;
+      const midAltitude = altitudeKm(ay + sy / 2);
+      if (midAltitude < 0) continue;
+
+      // Light emitted over the whole segment.
+      const fluorescence = FLUORESCENCE_YIELD * DEPOSIT_RATE * pool.stepGrammage[slot];
+      let cherenkov = 0;
+      let spread = 0;
+      const { mass } = SPECIES_INFO[pool.species[slot]];
+      const delta = refractivity(profile, midAltitude);
+      if (pool.energy[slot] > cherenkovThreshold(mass, delta)) {
+        const gamma = (pool.energy[slot] * 1000) / mass;
+        const cosCone = 1 / ((1 + delta) * Math.sqrt(1 - 1 / (gamma * gamma)));
+        const sin2 = 1 - cosCone * cosCone;
+        cherenkov = CHERENKOV_YIELD * sin2 * length * 1000;
+        spread = sin2 / 2 + CHERENKOV_SCATTER * CHERENKOV_SCATTER;
+      }
+      if (!fluorescence && !cherenkov) continue;
+
+      const vx = pool.velocity[k];
+      const vy = pool.velocity[k + 1];
+      const vz = pool.velocity[k + 2];
+      const speed = Math.hypot(vx, vy, vz) || 1;
+      const midDistance = Math.hypot(tx - ax - sx / 2, ty - ay - sy / 2, tz - az - sz / 2) * KM_PER_UNIT;
+      const samples = Math.min(MAX_SAMPLES, Math.max(1, Math.ceil(length / midDistance / pixelAngle)));
+      for (let sample = 0; sample < samples; sample += 1) {
+        const t = (sample + 0.5) / samples;
+        let dx = ax + sx * t - tx;
+        let dy = ay + sy * t - ty;
+        let dz = az + sz * t - tz;
+        const distance = Math.hypot(dx, dy, dz);
+        dx /= distance;
+        dy /= distance;
+        dz /= distance;
+        const pixel = this.pixelOf(dx, dy, dz);
+        if (pixel < 0) continue;
+        const km = distance * KM_PER_UNIT;
+        const meters = km * 1000;
+        // Solid angle of the mirror from the emission point, dimmed by the air.
+        const acceptance = (mirrorArea / (meters * meters)) * Math.exp(-km / ATTENUATION_LENGTH);
+        const fluorescenceHere = ((fluorescence / samples) * acceptance) / (4 * Math.PI);
+        this.fluorescence[pixel] += fluorescenceHere;
+        this.photons.fluorescence += fluorescenceHere;
+        if (cherenkov) {
+          // Angle between the particle's direction and the way to the telescope.
+          const cos = -(vx * dx + vy * dy + vz * dz) / speed;
+          const angle = Math.acos(Math.min(1, Math.max(-1, cos)));
+          const perSteradian = Math.exp(-(angle * angle) / (2 * spread)) / (2 * Math.PI * spread);
+          const cherenkovHere = (cherenkov / samples) * perSteradian * acceptance;
+          this.cherenkov[pixel] += cherenkovHere;
+          this.photons.cherenkov += cherenkovHere;
+        }
+        added = true;
+      }
+    }
+    if (added) this.version += 1;
+  }
+}
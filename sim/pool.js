@@ -0,0 +1,150 @@
+// Structure-of-arrays store for the live particles. Every per-particle value
+// lives in its own typed array indexed by slot. Slots [0, length) are live and
+// removing one moves the last particle into the hole, so the arrays stay dense
+// and `render` and `previous` (float32 positions after and before the last
+// step) can be copied out for drawing in one block.
+//
+// Slots move, so anything that has to find a particle again holds its handle:
+// handles are recycled through a free list, and each release bumps the
+// handle's version so stale references resolve to nothing.
+
+// Array type and values per particle of each field.
+const FIELDS = {
+  position: [Float64Array, 3],
+  velocity: [Float64Array, 3],
+  render: [Float32Array, 3],
+  previous: [Float32Array, 3],
+  energy: [Float64Array, 1],
+  charge: [Int8Array, 1],
+  species: [Uint8Array, 1],
+  age: [Float64Array, 1],
+  // Slant depth traversed since injection and during the last step (g/cm²).
+  depth: [Float64Array, 1],
+  // Slant depth along the shower axis at the particle's altitude, for the
+  // profile, and the vertical depth above it (-1 until first computed).
+  axisDepth: [Float64Array, 1],
+  verticalDepth: [Float64Array, 1],
+  stepGrammage: [Float64Array, 1],
+  // Lab time (s) since the primary was injected, at the speed of light.
+  flightTime: [Float64Array, 1],
+  // Proper time lived (s) and the proper time at which it decays.
+  properTime: [Float64Array, 1],
+  decayTime: [Float64Array, 1],
+  // Genealogy: index in shower.genealogy, the parent's index (-1 for the
+  // primary), generations below the primary and altitude (km) at birth.
+  id: [Int32Array, 1],
+  parentId: [Int32Array, 1],
+  generation: [Uint16Array, 1],
+  birthAltitude: [Float32Array, 1],
+  // Set when a decay or interaction hands all of the energy to the daughters.
+  consumed: [Uint8Array, 1],
+  handle: [Int32Array, 1],
+};
+const FIELD_LIST = Object.entries(FIELDS).map(([name, [ArrayType, stride]]) => ({ name, ArrayType, stride }));
+
+export class ParticlePool {
+  constructor(capacity = 4096) {
+    this.length = 0;
+    this.capacity = 0;
+    // New particles are refused beyond this many; see Simulation#step.
+    this.limit = Infinity;
+    // Particles refused at the limit since the pool was created.
+    this.dropped = 0;
+    // Atmosphere profile the stored vertical depths were computed in.
+    this.depthProfile = null;
+    // Shower record of each slot.
+    this.showers = [];
+    this.slotOf = new Int32Array(0);
+    this.versions = new Uint32Array(0);
+    this.freeHandles = [];
+    this.grow(capacity);
+  }
+
+  // Reallocates every array for `capacity` particles, keeping the contents.
+  grow(capacity) {
+    for (const { name, ArrayType, stride } of FIELD_LIST) {
+      const array = new ArrayType(capacity * stride);
+      if (this[name]) array.set(this[name].subarray(0, this.length * stride));
+      this[name] = array;
+    }
+    const slotOf = new Int32Array(capacity).fill(-1);
+    slotOf.set(this.slotOf);
+    this.slotOf = slotOf;
+    const versions = new Uint32Array(capacity);
+    versions.set(this.versions);
+    this.versions = versions;
+    for (let handle = capacity - 1; handle >= this.capacity; handle -= 1) this.freeHandles.push(handle);
+    this.capacity = capacity;
+  }
+
+  // Claims a slot for a particle of `shower`, growing if needed. The caller
+  // sets position, velocity, species, energy, charge, decay time and
+  // genealogy; everything else starts at zero.
+  add(shower) {
+    if (this.length === this.capacity) this.grow(this.capacity * 2);
+    const slot = this.length;
+    this.length += 1;
+    this.age[slot] = 0;
+    this.depth[slot] = 0;
+    this.axisDepth[slot] = 0;
+    this.verticalDepth[slot] = -1;
+    this.stepGrammage[slot] = 0;
+    this.flightTime[slot] = 0;
+    this.properTime[slot] = 0;
+    this.consumed[slot] = 0;
+    this.showers[slot] = shower;
+    const handle = this.freeHandles.pop();
+    this.handle[slot] = handle;
+    this.slotOf[handle] = slot;
+    return slot;
+  }
+
+  // Releases a slot; the last particle takes its place.
+  remove(slot) {
+    const handle = this.handle[slot];
+    this.slotOf[handle] = -1;
+    this.versions[handle] += 1;
+    this.freeHandles.push(handle);
+    const last = this.length - 1;
+    if (slot !== last) this.move(last, slot);
+    this.showers[last] = undefined;
+    this.length = last;
+  }
+
+  move(from, to) {
+    const { position, velocity, render, previous } = this;
+    const a = from * 3;
+    const b = to * 3;
+    for (let k = 0; k < 3; k += 1) {
+      position[b + k] = position[a + k];
+      velocity[b + k] = velocity[a + k];
+      render[b + k] = render[a + k];
+      previous[b + k] = previous[a + k];
+    }
+    this.energy[to] = this.energy[from];
+    this.charge[to] = this.charge[from];
+    this.species[to] = this.species[from];
+    this.age[to] = this.age[from];
+    this.depth[to] = this.depth[from];
+    this.axisDepth[to] = this.axisDepth[from];
+    this.verticalDepth[to] = this.verticalDepth[from];
+    this.stepGrammage[to] = this.stepGrammage[from];
+    this.flightTime[to] = this.flightTime[from];
+    this.properTime[to] = this.properTime[from];
+    this.decayTime[to] = this.decayTime[from];
+    this.id[to] = this.id[from];
+    this.parentId[to] = this.parentId[from];
+    this.generation[to] = this.generation[from];
+    this.birthAltitude[to] = this.birthAltitude[from];
+    this.consumed[to] = this.consumed[from];
+    this.handle[to] = this.handle[from];
+    this.showers[to] = this.showers[from];
+    this.slotOf[this.handle[to]] = to;
+  }
+
+  // Current slot of a particle, or -1 once it is gone.
+  resolve(handle, version) {
+    if (handle < 0 || handle >= this.capacity || this.versions[handle] !== version) return -1;
+    return this.slotOf[handle];
+  }
+}
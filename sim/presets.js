@@ -0,0 +1,196 @@
+// Named configurations of the HUD's controls, and the session state carried
+// in the URL hash. A configuration maps control ids (the ids in index.html) to
+// their values: strings, or booleans for toggles, plus the placed detectors
+// as one string under `detectors`. Built-in presets list only the controls
+// they care about and are applied over the page's defaults; saved ones are
+// full snapshots, optionally with the camera. Camera viewpoints are saved on
+// their own.
+
+export const BUILTIN_PRESETS = {
+  "gentle-proton-rain": {
+    label: "GENTLE PROTON RAIN",
+    controls: {
+      primaryType: "proton",
+      energyRange: "1.5",
+      rateRange: "0.5",
+      cascadeToggle: true,
+      isotropicToggle: true,
+    },
+  },
+  "iron-storm": {
+    label: "IRON STORM",
+    controls: {
+      primaryType: "iron",
+      energyRange: "12.0",
+      rateRange: "3.0",
+      cascadeToggle: true,
+      isotropicToggle: true,
+      trackToggle: true,
+      trailLength: "1.5",
+    },
+  },
+  "gamma-burst": {
+    label: "GAMMA BURST",
+    controls: {
+      primaryType: "gamma",
+      energyRange: "8.0",
+      zenithRange: "20",
+      rateRange: "6.0",
+      cascadeToggle: true,
+      trackToggle: true,
+      trailLength: "0.8",
+    },
+  },
+};
+
+const STORAGE_KEY = "cosmic-ray-presets";
+const FILE_FORMAT = "cosmic-ray-presets";
+
+function isControls(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  return Object.values(value).every((v) => typeof v === "string" || typeof v === "boolean");
+}
+
+// Camera as { position: [x, y, z], target: [x, y, z] }.
+function isCamera(value) {
+  const isPoint = (point) => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+  return Boolean(value) && isPoint(value.position) && isPoint(value.target);
+}
+
+// User presets by name, kept in `storage` (localStorage in the browser).
+export class PresetStore {
+  constructor(storage) {
+    this.storage = storage;
+    // No prototype, so any name typed in (even "__proto__") is just a key.
+    this.presets = Object.create(null);
+    try {
+      const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? "{}");
+      for (const [name, preset] of Object.entries(saved)) {
+        if (isControls(preset?.controls)) this.presets[name] = preset;
+      }
+    } catch {
+      // Unreadable storage starts empty and is overwritten by the next save.
+    }
+  }
+
+  get names() {
+    return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  get(name) {
+    return this.presets[name] ?? null;
+  }
+
+  // `preset` is { controls, camera? }; an existing preset of the name is replaced.
+  save(name, preset) {
+    this.presets[name] = preset;
+    this.persist();
+  }
+
+  remove(name) {
+    delete this.presets[name];
+    this.persist();
+  }
+
+  persist() {
+    this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+  }
+
+  // All presets as a JSON file.
+  toJSON() {
+    return JSON.stringify({ format: FILE_FORMAT, version: 1, presets: this.presets }, null, 2);
+  }
+
+  // Adds the presets of a file written by toJSON, replacing those of the
+  // same name. Returns the names added.
+  importJSON(text) {
+    const file = JSON.parse(text);
+    if (file?.format !== FILE_FORMAT || !file.presets || typeof file.presets !== "object") {
+      throw new Error("Not a preset file");
+    }
+    const names = [];
+    for (const [name, preset] of Object.entries(file.presets)) {
+      if (!isControls(preset?.controls)) continue;
+      this.presets[name] = { controls: preset.controls, ...(isCamera(preset.camera) && { camera: preset.camera }) };
+      names.push(name);
+    }
+    this.persist();
+    return names;
+  }
+}
+
+const VIEWPOINT_KEY = "cosmic-ray-viewpoints";
+
+// Camera viewpoints by name, in the order they were first saved, kept in
+// `storage` next to the presets.
+export class ViewpointStore {
+  constructor(storage) {
+    this.storage = storage;
+    this.viewpoints = Object.create(null);
+    try {
+      const saved = JSON.parse(storage?.getItem(VIEWPOINT_KEY) ?? "{}");
+      for (const [name, camera] of Object.entries(saved)) {
+        if (isCamera(camera)) this.viewpoints[name] = camera;
+      }
+    } catch {
+      // As for presets: start empty.
+    }
+  }
+
+  get names() {
+    return Object.keys(this.viewpoints);
+  }
+
+  get(name) {
+    return this.viewpoints[name] ?? null;
+  }
+
+  // `camera` is { position, target }; an existing viewpoint of the name is
+  // replaced and keeps its place.
+  save(name, camera) {
+    this.viewpoints[name] = camera;
+    this.persist();
+  }
+
+  remove(name) {
+    delete this.viewpoints[name];
+    this.persist();
+  }
+
+  persist() {
+    this.storage?.setItem(VIEWPOINT_KEY, JSON.stringify(this.viewpoints));
+  }
+}
+
+// URL hash for { controls, seed, camera }: one key per control, booleans as
+// 1/0, plus `seed` and `camera` (position then target, comma separated).
+// Control values may not be named `seed` or `camera`.
+export function encodeHashState({ controls, seed, camera }) {
+  const params = new URLSearchParams();
+  for (const [id, value] of Object.entries(controls)) {
+    params.set(id, typeof value === "boolean" ? (value ? "1" : "0") : value);
+  }
+  if (seed !== undefined && seed !== null) params.set("seed", String(seed));
+  if (camera) {
+    const numbers = [...camera.position, ...camera.target].map((v) => Number(v.toFixed(3)));
+    params.set("camera", numbers.join(","));
+  }
+  return params.toString();
+}
+
+// Inverse of encodeHashState, or null for an empty hash. `toggles` lists the
+// control ids whose values are booleans.
+export function decodeHashState(hash, toggles) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  if (![...params.keys()].length) return null;
+  const state = { controls: {}, seed: params.get("seed"), camera: null };
+  for (const [id, value] of params) {
+    if (id === "seed" || id === "camera") continue;
+    state.controls[id] = toggles.includes(id) ? value === "1" : value;
+  }
+  const numbers = (params.get("camera") ?? "").split(",").map(Number);
+  if (numbers.length === 6 && numbers.every(Number.isFinite)) {
+    state.camera = { position: numbers.slice(0, 3), target: numbers.slice(3) };
+  }
+  return state;
+}
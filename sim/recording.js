@@ -0,0 +1,265 @@
+// Session recordings: particle snapshots captured from a running Simulation at
+// a fixed rate, packed into a self-contained binary file that loads back
+// without a server. Layout (little endian):
+//
+//   "CRSREC" | u16 version | u32 header length | header JSON (UTF-8) | frames
+//
+// and each frame is
+//
+//   f64 time | u32 particles | u32 hits
+//   particles × (f32 x, y, z, energy, share, u8 species, i8 charge)
+//   hits × (f32 x, z, share, u8 species)
+//
+// where `share` is the energy relative to the shower's primary (as the point
+// cloud shades it) and hits are the ground hits since the previous frame. The
+// header carries the session seed, the parameters at the start, the species
+// table and the primary and shower-end events with the frame they happened in.
+import { SPECIES, speciesGroup, speciesIndex } from "./species.js";
+
+export const RECORDING_VERSION = 1;
+const MAGIC = "CRSREC";
+const PREAMBLE = MAGIC.length + 2 + 4;
+const FRAME_HEADER = 16;
+const PARTICLE_BYTES = 22;
+const HIT_BYTES = 13;
+// Capture stops here rather than exhausting memory.
+export const MAX_RECORDING_BYTES = 256 * 1024 * 1024;
+
+function energyShare(energy, shower) {
+  return energy / Math.max(shower.energy || 1, 0.5);
+}
+
+export class Recorder {
+  constructor(sim, { fps = 20 } = {}) {
+    this.sim = sim;
+    this.interval = 1 / fps;
+    this.fps = fps;
+    this.frames = [];
+    this.bytes = 0;
+    this.events = [];
+    this.pendingHits = [];
+    this.lastCapture = -Infinity;
+    // Simulation times of the first and last frame written.
+    this.firstTime = 0;
+    this.lastTime = 0;
+    this.full = false;
+    this.header = {
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      fps,
+      sessionSeed: sim.sessionSeed,
+      params: structuredClone(sim.params),
+      species: SPECIES,
+    };
+    this.unsubscribe = [
+      sim.on("step", () => this.capture()),
+      // Hits are written with the next frame.
+      sim.on("hit", (particle) => {
+        const { x, z } = particle.position;
+        this.pendingHits.push({ x, z, share: energyShare(particle.energy, particle.shower), type: particle.type });
+      }),
+      sim.on("primary", ({ shower, type, energy, seed, replay, auto }) => {
+        this.events.push({
+          frame: this.frames.length,
+          kind: "primary",
+          shower: shower.id,
+          type,
+          energy,
+          seed,
+          replay,
+          auto,
+          zenith: shower.zenith,
+          azimuth: shower.azimuth,
+        });
+      }),
+      sim.on("showerEnd", (shower) => {
+        this.events.push({
+          frame: this.frames.length,
+          kind: "showerEnd",
+          shower: shower.id,
+          type: shower.type,
+          energy: shower.energy,
+          muons: shower.hits.muon || 0,
+          xmax: shower.xmax,
+        });
+      }),
+    ];
+  }
+
+  // Time from the first frame to the last, as Recording#duration reads it
+  // back from the file.
+  get duration() {
+    return this.lastTime - this.firstTime;
+  }
+
+  // Runs after every simulation step; snapshots at most `fps` times per
+  // second of simulated time.
+  capture() {
+    const { sim } = this;
+    if (this.full || sim.time - this.lastCapture < this.interval - 1e-9) return;
+    this.lastCapture = sim.time;
+    const pool = sim.particles;
+    const hits = this.pendingHits;
+    this.pendingHits = [];
+    const size = FRAME_HEADER + pool.length * PARTICLE_BYTES + hits.length * HIT_BYTES;
+    if (this.bytes + size > MAX_RECORDING_BYTES) {
+      this.full = true;
+      return;
+    }
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    view.setFloat64(0, sim.time, true);
+    view.setUint32(8, pool.length, true);
+    view.setUint32(12, hits.length, true);
+    let offset = FRAME_HEADER;
+    // Pool species indices are positions in SPECIES, as in the header.
+    const { position, energy, species, charge, showers } = pool;
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      view.setFloat32(offset, position[slot * 3], true);
+      view.setFloat32(offset + 4, position[slot * 3 + 1], true);
+      view.setFloat32(offset + 8, position[slot * 3 + 2], true);
+      view.setFloat32(offset + 12, energy[slot], true);
+      view.setFloat32(offset + 16, energyShare(energy[slot], showers[slot]), true);
+      view.setUint8(offset + 20, species[slot]);
+      view.setInt8(offset + 21, Math.sign(charge[slot]));
+      offset += PARTICLE_BYTES;
+    }
+    for (const hit of hits) {
+      view.setFloat32(offset, hit.x, true);
+      view.setFloat32(offset + 4, hit.z, true);
+      view.setFloat32(offset + 8, hit.share, true);
+      view.setUint8(offset + 12, Math.max(0, speciesIndex(hit.type)));
+      offset += HIT_BYTES;
+    }
+    if (!this.frames.length) this.firstTime = sim.time;
+    this.lastTime = sim.time;
+    this.frames.push(buffer);
+    this.bytes += size;
+  }
+
+  stop() {
+    for (const unsubscribe of this.unsubscribe) unsubscribe();
+    this.unsubscribe = [];
+  }
+
+  // The finished file as a list of parts, for a Blob or Buffer.concat.
+  toParts() {
+    const header = new TextEncoder().encode(
+      JSON.stringify({ ...this.header, frameCount: this.frames.length, events: this.events }),
+    );
+    const preamble = new ArrayBuffer(PREAMBLE);
+    const view = new DataView(preamble);
+    for (let i = 0; i < MAGIC.length; i += 1) view.setUint8(i, MAGIC.charCodeAt(i));
+    view.setUint16(MAGIC.length, RECORDING_VERSION, true);
+    view.setUint32(MAGIC.length + 2, header.byteLength, true);
+    return [preamble, header, ...this.frames];
+  }
+}
+
+// Reads a recording file. Frames are indexed up front and decoded on demand.
+export function parseRecording(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(MAGIC.length, buffer.byteLength)));
+  if (magic !== MAGIC) throw new Error("Not a cosmic ray recording");
+  const version = view.getUint16(MAGIC.length, true);
+  if (version > RECORDING_VERSION) throw new Error(`Unsupported recording version ${version}`);
+  const headerLength = view.getUint32(MAGIC.length + 2, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREAMBLE, headerLength)));
+
+  const frames = [];
+  let offset = PREAMBLE + headerLength;
+  while (offset + FRAME_HEADER <= buffer.byteLength) {
+    const particles = view.getUint32(offset + 8, true);
+    const hits = view.getUint32(offset + 12, true);
+    frames.push({ time: view.getFloat64(offset, true), offset, particles, hits });
+    offset += FRAME_HEADER + particles * PARTICLE_BYTES + hits * HIT_BYTES;
+  }
+  if (offset > buffer.byteLength) frames.pop();
+  return new Recording(view, header, frames);
+}
+
+export class Recording {
+  constructor(view, header, frames) {
+    this.view = view;
+    this.header = header;
+    this.frames = frames;
+    this.species = header.species;
+  }
+
+  get duration() {
+    const { frames } = this;
+    return frames.length ? frames[frames.length - 1].time - frames[0].time : 0;
+  }
+
+  // Index of the last frame at or before `time`.
+  frameAt(time) {
+    const { frames } = this;
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (frames[mid].time <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  // Calls visit(type, x, y, z, energy, share, charge) for each particle of
+  // frame `index`.
+  forEachParticle(index, visit) {
+    const { view, species } = this;
+    const frame = this.frames[index];
+    let offset = frame.offset + FRAME_HEADER;
+    for (let i = 0; i < frame.particles; i += 1) {
+      visit(
+        species[view.getUint8(offset + 20)],
+        view.getFloat32(offset, true),
+        view.getFloat32(offset + 4, true),
+        view.getFloat32(offset + 8, true),
+        view.getFloat32(offset + 12, true),
+        view.getFloat32(offset + 16, true),
+        view.getInt8(offset + 21),
+      );
+      offset += PARTICLE_BYTES;
+    }
+  }
+
+  // Particle counts of a frame in the shape of Simulation#counts().
+  counts(index) {
+    const counts = { muon: 0, muonPlus: 0, muonMinus: 0, gamma: 0, electron: 0, hadrons: 0, total: 0 };
+    this.forEachParticle(index, (type, x, y, z, energy, share, charge) => {
+      counts.total += 1;
+      const group = speciesGroup(type);
+      if (group === "muon") {
+        counts.muon += 1;
+        if (charge > 0) counts.muonPlus += 1;
+        else counts.muonMinus += 1;
+      } else if (group === "hadron") {
+        counts.hadrons += 1;
+      } else if (group) {
+        counts[group] += 1;
+      }
+    });
+    return counts;
+  }
+
+  // Calls visit(type, x, z, share) for each ground hit recorded in frame `index`.
+  forEachHit(index, visit) {
+    const { view, species } = this;
+    const frame = this.frames[index];
+    let offset = frame.offset + FRAME_HEADER + frame.particles * PARTICLE_BYTES;
+    for (let i = 0; i < frame.hits; i += 1) {
+      visit(
+        species[view.getUint8(offset + 12)],
+        view.getFloat32(offset, true),
+        view.getFloat32(offset + 4, true),
+        view.getFloat32(offset + 8, true),
+      );
+      offset += HIT_BYTES;
+    }
+  }
+
+  eventsBetween(fromFrame, toFrame) {
+    return this.header.events.filter((event) => event.frame > fromFrame && event.frame <= toFrame);
+  }
+}
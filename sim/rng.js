@@ -0,0 +1,45 @@
+// Seedable pseudo-random streams. Every stochastic decision in the simulation
+// draws from one of these instead of Math.random so showers can be replayed.
+
+const UINT32 = 0x100000000;
+
+// mulberry32: small, fast and good enough for Monte Carlo eye candy.
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+  next.seed = seed >>> 0;
+  return next;
+}
+
+// Derives an independent stream seed, e.g. one per primary of a session.
+export function deriveSeed(seed, index) {
+  let h = (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Accepts plain unsigned integers ("12345", "0x3039") or any other text,
+// which is hashed (FNV-1a) so memorable words work as seeds too.
+export function parseSeed(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(BigInt(text) % BigInt(UINT32));
+  if (/^0x[0-9a-f]+$/i.test(text)) return Number(BigInt(text) % BigInt(UINT32));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * UINT32) >>> 0;
+}
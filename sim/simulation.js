@@ -0,0 +1,881 @@
+// Headless cascade simulation. Knows nothing about the DOM or WebGL: the
+// renderer/HUD in app.js (or a Node script) drives it through an explicit
+// parameter object and listens for events.
+import { DEFAULT_COMPOSITION, sampleSpecies } from "./composition.js";
+import { getAtmosphere, segmentGrammage, verticalDepth } from "./atmosphere.js";
+import { Genealogy } from "./genealogy.js";
+import { deflect, fieldVector } from "./geomagnetic.js";
+import { ParticlePool } from "./pool.js";
+import { createRng, deriveSeed, randomSeed } from "./rng.js";
+import { SPECIES, SPECIES_GROUPS, SPECIES_INFO, speciesIndex, speciesInfo } from "./species.js";
+import { DEFAULT_SPECTRUM, sampleBrokenPowerLaw } from "./spectrum.js";
+import { Vec3 } from "./vec3.js";
+
+export { SPECIES, SPECIES_GROUPS, speciesGroup } from "./species.js";
+
+export const GROUND_LEVEL = -20;
+// Scene units to kilometres of altitude: primaries enter around 45 km.
+export const KM_PER_UNIT = 0.5;
+
+// Particles leaving this box (above the injection layer or far off to the
+// side) have left the atmosphere we model.
+const CEILING = 130;
+const WORLD_RADIUS = 600;
+
+export function altitudeKm(y) {
+  return (y - GROUND_LEVEL) * KM_PER_UNIT;
+}
+
+export const DEFAULT_PARAMS = {
+  primaryType: "proton",
+  energy: 3.0,
+  drive: 190.0,
+  rate: 0.7,
+  cascade: false,
+  // Arrival direction of injected primaries in degrees: zenith from vertical,
+  // azimuth from north towards east (the direction the shower comes from).
+  zenith: 0,
+  azimuth: 0,
+  // "fixed" uses zenith/azimuth; "isotropic" draws Auto-Cascade primaries
+  // from the sky up to maxZenith.
+  skyMode: "fixed",
+  maxZenith: 70,
+  // "mono" injects every Auto-Cascade primary at `energy`; "power-law" draws
+  // it from the broken power law in `spectrum` (see spectrum.js).
+  spectrumMode: "mono",
+  spectrum: { ...DEFAULT_SPECTRUM },
+  // "single" injects `primaryType`; "mixed" draws each Auto-Cascade primary's
+  // species from the relative weights in `composition` (see composition.js).
+  compositionMode: "single",
+  composition: { ...DEFAULT_COMPOSITION },
+  atmosphere: "us-standard",
+  // "grammage": interactions follow traversed depth and per-species mean free
+  // paths; "drive": the original flat per-second rate.
+  interactionModel: "grammage",
+  // When set, daughters split the parent's energy instead of minting their own.
+  conserveEnergy: true,
+  // Geomagnetic field: strength in µT, inclination and declination in degrees.
+  field: { strength: 0, inclination: 0, declination: 0 },
+  // Live particles beyond this are not created; see Simulation#droppedParticles.
+  maxParticles: 250000,
+  // Fixed step (simulated seconds) and simulated seconds per wall-clock second
+  // for Simulation#advance.
+  timestep: 1 / 60,
+  speed: 1,
+};
+
+// The flat-rate, non-conserving mode tops every daughter up to this energy.
+const LEGACY_ENERGY_FLOOR = 0.08;
+// Share of a hadron's energy handed to secondaries per interaction in
+// conservation mode; the leading hadron keeps the rest.
+const HADRON_INELASTICITY = 0.5;
+const MAX_SHOWER_HISTORY = 32;
+// Scatter Drive scales every cross-section in the grammage model; at its
+// default setting the mean free paths are the physical ones.
+const DRIVE_REFERENCE = 190.0;
+// Grammage model: photons and electrons stop multiplying below the critical
+// energy of air (85 MeV) and charged particles lose ~2.2 MeV per g/cm².
+const EM_CUTOFF = 8.5e-5;
+const IONIZATION_LOSS = 2.2e-6;
+// Energy below which a particle is dropped: 0.5 GeV in the flat-rate model,
+// 1 MeV once ionisation ranges particles out.
+const MIN_ENERGY = { drive: 0.0005, grammage: 1e-6 };
+
+// Masses, charges, lifetimes, decay channels and interaction models of the
+// species come from the registry in species.js. Unstable species decay after
+// an exponentially distributed proper time, dilated by their Lorentz factor.
+
+// Share of charged pions from proton and nucleus collisions that are positive;
+// gives the observed μ+/μ- ratio of about 1.27.
+const PI_PLUS_SHARE = 0.56;
+// Share of the charged mesons from hadronic collisions that are kaons.
+const KAON_SHARE = 0.1;
+
+export const SPEED_OF_LIGHT = 299792.458; // km/s
+
+// Longitudinal profiles count particles crossing levels of slant depth along
+// the shower axis, every PROFILE_BIN g/cm².
+export const PROFILE_BIN = 10;
+
+function createProfile() {
+  const counts = { total: [] };
+  for (const group in SPECIES_GROUPS) counts[group] = [];
+  return { binWidth: PROFILE_BIN, counts };
+}
+
+// Slant depth along the axis of `shower` at `altitude` km, or at vertical depth `depth`.
+function axisDepth(atmosphere, shower, altitude, depth = verticalDepth(atmosphere, altitude)) {
+  return depth / Math.max(0.05, -shower.axis.y);
+}
+
+// Counts a downward crossing of every profile level between two depths.
+function recordCrossings(profile, group, fromDepth, toDepth) {
+  if (!group || !(toDepth > fromDepth)) return;
+  const { binWidth, counts } = profile;
+  const first = Math.floor(fromDepth / binWidth) + 1;
+  const last = Math.floor(toDepth / binWidth);
+  for (let level = first; level <= last; level += 1) {
+    counts.total[level] = (counts.total[level] || 0) + 1;
+    counts[group][level] = (counts[group][level] || 0) + 1;
+  }
+}
+
+// Depth of shower maximum (g/cm²) from a profile's total counts: the peak
+// level refined by a parabola through it and its neighbours. Null when empty.
+export function profileXmax(profile) {
+  const { binWidth, counts } = profile;
+  const total = counts.total;
+  let peak = -1;
+  for (let level = 0; level < total.length; level += 1) {
+    if ((total[level] || 0) > (total[peak] || 0)) peak = level;
+  }
+  if (peak < 0) return null;
+  const left = total[peak - 1] || 0;
+  const centre = total[peak];
+  const right = total[peak + 1] || 0;
+  const curvature = left - 2 * centre + right;
+  const shift = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+  return (peak + Math.max(-0.5, Math.min(0.5, shift))) * binWidth;
+}
+
+export function lorentzFactor(type, energy) {
+  const mass = speciesInfo(type)?.mass;
+  if (!mass) return Infinity;
+  return Math.max(1, (energy * 1000) / mass);
+}
+
+export function momentum(type, energy) {
+  const total = energy * 1000;
+  const mass = speciesInfo(type)?.mass || 0;
+  return Math.sqrt(Math.max(0, total * total - mass * mass));
+}
+
+function sampleDecayTime(rng, type) {
+  const lifetime = speciesInfo(type)?.lifetime;
+  return lifetime ? -lifetime * Math.log(1 - rng()) : Infinity;
+}
+
+// Where energy ends up when a particle of this type loses it: neutrinos escape
+// the atmosphere, everything else is absorbed by the air.
+function depositBucket(type) {
+  return speciesInfo(type)?.escapes ? "neutrino" : "air";
+}
+
+// One primary and everything it produces. The ledger tracks where the primary's
+// energy went; `injected` should equal the sum of the other buckets plus
+// whatever is still in flight when energy is conserved.
+export function createShower(id, type, energy, seed, time) {
+  return {
+    id,
+    type,
+    energy,
+    seed,
+    // Arrival direction in degrees and the unit vector the shower travels
+    // along, set when the primary is aimed. Daughters scatter around the axis,
+    // across the two directions in `basis`.
+    zenith: 0,
+    azimuth: 0,
+    axis: new Vec3(0, -1, 0),
+    basis: perpendicularBasis(DOWN),
+    // Where the primary's track meets the ground (scene units).
+    core: null,
+    rng: createRng(seed),
+    startTime: time,
+    endTime: null,
+    alive: 0,
+    // Most particles alive at once.
+    peak: 0,
+    // Daughters refused because the particle pool was full.
+    dropped: 0,
+    // Ground hits per species, e.g. the muon content of the shower.
+    hits: {},
+    // Longitudinal profile, and its depth of maximum once the shower ends.
+    profile: createProfile(),
+    xmax: null,
+    // One node per particle ever created, indexed by particle id: type,
+    // parent id, generation, the process that made it, and its energy,
+    // altitude (km) and position at birth (see genealogy.js).
+    genealogy: new Genealogy(SPECIES),
+    ledger: { injected: energy, air: 0, neutrino: 0, ground: 0, dropped: 0 },
+  };
+}
+
+// A copy of one pooled particle's state, as `hit` listeners and the inspector
+// see it. `handle` and `version` find the live particle again (see
+// Simulation#refresh); the copy stays readable after the particle is gone.
+export class Particle {
+  constructor(pool, slot) {
+    this.position = new Vec3();
+    this.velocity = new Vec3();
+    this.handle = pool.handle[slot];
+    this.version = pool.versions[this.handle];
+    this.read(pool, slot);
+  }
+
+  read(pool, slot) {
+    const k = slot * 3;
+    const shower = pool.showers[slot];
+    this.type = SPECIES[pool.species[slot]];
+    this.position.set(pool.position[k], pool.position[k + 1], pool.position[k + 2]);
+    this.velocity.set(pool.velocity[k], pool.velocity[k + 1], pool.velocity[k + 2]);
+    this.energy = pool.energy[slot];
+    this.charge = pool.charge[slot];
+    this.age = pool.age[slot];
+    this.depth = pool.depth[slot];
+    this.axisDepth = pool.axisDepth[slot];
+    this.flightTime = pool.flightTime[slot];
+    this.properTime = pool.properTime[slot];
+    this.shower = shower;
+    this.showerId = shower.id;
+    this.id = pool.id[slot];
+    this.parentId = pool.parentId[slot] < 0 ? null : pool.parentId[slot];
+    this.generation = pool.generation[slot];
+    this.birthAltitude = pool.birthAltitude[slot];
+    return this;
+  }
+}
+
+const scratchVelocity = new Vec3();
+
+// Moves the particle in `slot` through one step. `env` carries per-step state
+// shared by all particles: the atmosphere profile, the geomagnetic field
+// vector (tesla) and whether the grammage model is on.
+function advance(pool, slot, delta, env) {
+  const { atmosphere, field, grammage } = env;
+  const { position, velocity, render } = pool;
+  const shower = pool.showers[slot];
+  const info = SPECIES_INFO[pool.species[slot]];
+  const type = info.name;
+  const k = slot * 3;
+  pool.age[slot] += delta;
+  const fromAltitude = altitudeKm(position[k + 1]);
+  const vx = velocity[k];
+  const vy = velocity[k + 1];
+  const vz = velocity[k + 2];
+  const length = Math.sqrt(vx * vx + vy * vy + vz * vz) * delta * KM_PER_UNIT;
+  position[k] += velocity[k] * delta;
+  position[k + 1] += velocity[k + 1] * delta;
+  position[k + 2] += velocity[k + 2] * delta;
+  const { previous } = pool;
+  previous[k] = render[k];
+  previous[k + 1] = render[k + 1];
+  previous[k + 2] = render[k + 2];
+  render[k] = position[k];
+  render[k + 1] = position[k + 1];
+  render[k + 2] = position[k + 2];
+  const charge = pool.charge[slot];
+  if (charge && field) {
+    scratchVelocity.set(velocity[k], velocity[k + 1], velocity[k + 2]);
+    deflect(scratchVelocity, charge, momentum(type, pool.energy[slot]), field, length);
+    velocity[k] = scratchVelocity.x;
+    velocity[k + 1] = scratchVelocity.y;
+    velocity[k + 2] = scratchVelocity.z;
+  }
+  const toAltitude = altitudeKm(position[k + 1]);
+  const stored = pool.verticalDepth[slot];
+  const fromDepth = stored >= 0 ? stored : verticalDepth(atmosphere, fromAltitude);
+  const toDepth = verticalDepth(atmosphere, toAltitude);
+  pool.verticalDepth[slot] = toDepth;
+  const stepGrammage = segmentGrammage(atmosphere, fromAltitude, toAltitude, length, fromDepth, toDepth);
+  pool.stepGrammage[slot] = stepGrammage;
+  pool.depth[slot] += stepGrammage;
+  const depthOnAxis = axisDepth(atmosphere, shower, toAltitude, toDepth);
+  recordCrossings(shower.profile, info.group, pool.axisDepth[slot], depthOnAxis);
+  pool.axisDepth[slot] = depthOnAxis;
+  // Everything in a shower moves at essentially c, so the lab time of a step
+  // is its path length over c; the particle's own clock runs slower by γ.
+  const labTime = length / SPEED_OF_LIGHT;
+  pool.flightTime[slot] += labTime;
+  pool.properTime[slot] += labTime / lorentzFactor(type, pool.energy[slot]);
+  // The flat-rate model keeps its stylised downward pull and photon drag;
+  // with real interactions tracks stay straight so inclined showers land
+  // where they are aimed.
+  if (!grammage) {
+    velocity[k + 1] -= delta * 3.8;
+    if (type === "gamma") {
+      velocity[k] *= 0.995;
+      velocity[k + 1] *= 0.995;
+      velocity[k + 2] *= 0.995;
+    }
+  }
+  // Only charged particles lose energy to ionisation.
+  const rate = grammage ? (charge === 0 ? 0 : IONIZATION_LOSS * stepGrammage) : delta * 0.08;
+  const loss = Math.min(pool.energy[slot], rate);
+  pool.energy[slot] -= loss;
+  shower.ledger[info.escapes ? "neutrino" : "air"] += loss;
+}
+
+function shouldDecay(pool, slot) {
+  return pool.properTime[slot] >= pool.decayTime[slot];
+}
+
+function shouldExpire(pool, slot, env) {
+  const k = slot * 3;
+  const { position } = pool;
+  const x = position[k];
+  const y = position[k + 1];
+  const z = position[k + 2];
+  return (
+    pool.consumed[slot] === 1 ||
+    y < GROUND_LEVEL ||
+    y > CEILING ||
+    x * x + z * z > WORLD_RADIUS * WORLD_RADIUS ||
+    pool.energy[slot] < env.minEnergy
+  );
+}
+
+// Genealogy nodes from the primary down to particle `id` of `shower`.
+export function ancestry(shower, id) {
+  const chain = [];
+  for (let node = shower.genealogy.node(id); node; node = shower.genealogy.node(node.parent)) {
+    chain.unshift(node);
+    if (node.parent === null) break;
+  }
+  return chain;
+}
+
+// Where and when (flight time) a particle that ended its step below ground
+// crossed the ground plane.
+export function groundCrossing(particle) {
+  const { position, velocity } = particle;
+  const back = velocity.y < 0 ? Math.max(0, (position.y - GROUND_LEVEL) / velocity.y) : 0;
+  const overshoot = velocity.length() * back * KM_PER_UNIT;
+  return {
+    x: position.x - velocity.x * back,
+    z: position.z - velocity.z * back,
+    time: particle.flightTime - overshoot / SPEED_OF_LIGHT,
+  };
+}
+
+const DOWN = new Vec3(0, -1, 0);
+const DEG = Math.PI / 180;
+
+// Unit vector pointing back to where a shower with this zenith and azimuth
+// comes from (+x east, +y up, -z north).
+export function arrivalVector(zenith, azimuth) {
+  const theta = zenith * DEG;
+  const phi = azimuth * DEG;
+  return new Vec3(Math.sin(theta) * Math.sin(phi), Math.cos(theta), -Math.sin(theta) * Math.cos(phi));
+}
+
+// Draws an arrival direction from an isotropic sky as seen by a flat ground
+// array: dN ∝ cosθ dΩ, i.e. cos²θ uniform.
+export function sampleSkyDirection(rng, maxZenith) {
+  const minCos2 = Math.cos(maxZenith * DEG) ** 2;
+  const cosTheta = Math.sqrt(minCos2 + (1 - minCos2) * rng());
+  return { zenith: Math.acos(cosTheta) / DEG, azimuth: rng() * 360 };
+}
+
+// Two unit vectors perpendicular to `axis`; straight down gives +x and +z.
+function perpendicularBasis(axis) {
+  if (Math.abs(axis.y) > 0.999) return [new Vec3(1, 0, 0), new Vec3(0, 0, axis.y < 0 ? 1 : -1)];
+  const u = new Vec3(axis.z, 0, -axis.x).normalize();
+  const w = new Vec3(axis.y * u.z, axis.z * u.x - axis.x * u.z, -axis.y * u.x);
+  return [u, w.normalize()];
+}
+
+// Daughters fly out around the shower axis; `scatter` spreads them sideways
+// and `upwardBias` shortens the forward component. `options.parent` (the
+// parent's slot) and `options.process` file the particle in the shower's
+// genealogy. Returns the new slot, or -1 when the pool is at its limit: the
+// particle is then counted as dropped and its energy booked to the ledger.
+// Primaries (no parent) always get in.
+export function createParticle(pool, shower, type, origin, energy, options = {}) {
+  const parent = options.parent ?? -1;
+  if (parent >= 0 && pool.length >= pool.limit) {
+    shower.ledger.dropped += energy;
+    shower.dropped += 1;
+    pool.dropped += 1;
+    return -1;
+  }
+  const { rng, axis, basis } = shower;
+  const [u, w] = basis;
+  const scatter = options.scatter ?? 0.45;
+  const upwardBias = options.upwardBias ?? 0;
+  const baseSpeed = options.speed ?? 16;
+  const side = (rng() - 0.5) * scatter;
+  const lift = (rng() - 0.5) * scatter;
+  const forward = 1 - upwardBias;
+  let dx = axis.x * forward + u.x * side + w.x * lift;
+  let dy = axis.y * forward + u.y * side + w.y * lift;
+  let dz = axis.z * forward + u.z * side + w.z * lift;
+  const norm = 1 / (Math.sqrt(dx * dx + dy * dy + dz * dz) || 1);
+  const speed = baseSpeed + energy * 5;
+  dx *= norm;
+  dy *= norm;
+  dz *= norm;
+  shower.alive += 1;
+  shower.peak = Math.max(shower.peak, shower.alive);
+
+  const slot = pool.add(shower);
+  const k = slot * 3;
+  pool.position[k] = pool.render[k] = pool.previous[k] = origin.x;
+  pool.position[k + 1] = pool.render[k + 1] = pool.previous[k + 1] = origin.y;
+  pool.position[k + 2] = pool.render[k + 2] = pool.previous[k + 2] = origin.z;
+  pool.velocity[k] = dx * speed;
+  pool.velocity[k + 1] = dy * speed;
+  pool.velocity[k + 2] = dz * speed;
+  pool.species[slot] = speciesIndex(type);
+  pool.energy[slot] = energy;
+  pool.charge[slot] = options.charge ?? speciesInfo(type).charge;
+  pool.decayTime[slot] = sampleDecayTime(rng, type);
+  const birthAltitude = altitudeKm(origin.y);
+  const parentId = parent >= 0 ? pool.id[parent] : -1;
+  const generation = parent >= 0 ? pool.generation[parent] + 1 : 0;
+  const process = options.process ?? "primary";
+  const { x, y, z } = origin;
+  const { genealogy } = shower;
+  pool.id[slot] = genealogy.add(pool.species[slot], parentId, generation, process, energy, birthAltitude, x, y, z);
+  pool.parentId[slot] = parentId;
+  pool.generation[slot] = generation;
+  pool.birthAltitude[slot] = birthAltitude;
+  return slot;
+}
+
+// Creates collected daughters of the particle in `slot`, given as shares of
+// its energy. In conservation mode the shares are renormalised to what the
+// parent gives up; `usesParent` marks processes that end or drain the parent
+// even when energy is not conserved. `retained` is the share the parent keeps
+// (0 consumes it). `process` ("decay" or "interaction") is recorded in the
+// genealogy. Daughters join the end of the pool and move from the next step.
+function emitProducts(pool, slot, products, retained, usesParent, params, process) {
+  const parentEnergy = pool.energy[slot];
+  let scale = 1;
+  if (params.conserveEnergy) {
+    const totalShare = products.reduce((sum, product) => sum + product.share, 0);
+    scale = (1 - retained) / totalShare;
+  }
+  if (params.conserveEnergy || usesParent) {
+    pool.energy[slot] = parentEnergy * retained;
+    pool.consumed[slot] = retained === 0 ? 1 : 0;
+  }
+  const floored = !params.conserveEnergy && params.interactionModel !== "grammage";
+  const shower = pool.showers[slot];
+  const k = slot * 3;
+  const origin = { x: pool.position[k], y: pool.position[k + 1], z: pool.position[k + 2] };
+  for (const { type, share, options } of products) {
+    const energy = parentEnergy * share * scale;
+    const daughterEnergy = floored ? Math.max(energy, LEGACY_ENERGY_FLOOR) : energy;
+    // The options are fresh objects from decay() and maybeBranch().
+    options.parent = slot;
+    options.process = process;
+    const daughter = createParticle(pool, shower, type, origin, daughterEnergy, options);
+    if (daughter < 0) continue;
+    pool.depth[daughter] = pool.depth[slot];
+    pool.axisDepth[daughter] = pool.axisDepth[slot];
+    pool.verticalDepth[daughter] = pool.verticalDepth[slot];
+    pool.flightTime[daughter] = pool.flightTime[slot];
+  }
+}
+
+// Decays the particle in `slot` through one of its species' channels, drawn
+// by branching ratio. A particle of the opposite sign to its species' default
+// charge decays into the conjugate products; products with `charge: "parent"`
+// carry the parent's charge.
+export function decay(pool, slot, params) {
+  const info = SPECIES_INFO[pool.species[slot]];
+  const { decays } = info;
+  if (!decays.length) {
+    pool.consumed[slot] = 1;
+    return;
+  }
+  let channel = decays[0];
+  if (decays.length > 1) {
+    let pick = pool.showers[slot].rng();
+    channel = decays.find((candidate) => (pick -= candidate.ratio) < 0) ?? decays[decays.length - 1];
+  }
+  const charge = pool.charge[slot];
+  const conjugate = charge * info.charge < 0;
+  const products = channel.products.map((product) => {
+    const options = { scatter: product.scatter, speed: product.speed, upwardBias: product.upwardBias };
+    if (product.charge === "parent") options.charge = charge;
+    else if (product.charge === "opposite") options.charge = -charge;
+    else if (product.charge !== undefined) options.charge = product.charge;
+    const type = conjugate && product.conjugate ? product.conjugate : product.type;
+    return { type, share: product.share, options };
+  });
+  emitProducts(pool, slot, products, 0, true, params, "decay");
+}
+
+// Chance that a particle interacts with the air during the last step, from the
+// grammage it crossed and its mean free path.
+function interactionChance(info, energy, stepGrammage, params) {
+  if (info.interaction === "electron" && energy < EM_CUTOFF) return 0;
+  const length = info.interactionLength * (DRIVE_REFERENCE / Math.max(params.drive, 1e-3));
+  return 1 - Math.exp(-stepGrammage / length);
+}
+
+export function maybeBranch(pool, slot, delta, params) {
+  const info = SPECIES_INFO[pool.species[slot]];
+  const energy = pool.energy[slot];
+  const { rng } = pool.showers[slot];
+  if (!info.interaction) return;
+  const grammage = params.interactionModel === "grammage";
+  // The flat-rate model keeps its original channels, where pions only decay.
+  if (!grammage && !info.flatRate) return;
+  if (grammage) {
+    if (rng() > interactionChance(info, energy, pool.stepGrammage[slot], params)) return;
+  } else {
+    const baseProbability = 0.02 * params.drive + 0.015 * Math.min(energy, 3);
+    const chance = Math.min(1, baseProbability * delta);
+    if (rng() > chance) return;
+
+    const heightModifier = Math.max(0, Math.min(1, (pool.position[slot * 3 + 1] + 20) / 90));
+    if (rng() > 0.7 + 0.3 * heightModifier) return;
+  }
+
+  // Daughters are collected as shares of the parent's energy first, so the
+  // conservation mode can renormalise them before anything is created.
+  const products = [];
+  const add = (type, share, options) => products.push({ type, share, options });
+  const pair = (typeA, typeB) => {
+    add(typeA, 0.45, { scatter: 0.8, upwardBias: 0.2, speed: 20 });
+    add(typeB, 0.45, { scatter: 0.85, upwardBias: 0.15, speed: 18 });
+  };
+  // Share the parent keeps when the process uses it up; 0 means it is consumed.
+  let retained = 0;
+
+  switch (info.interaction) {
+    case "hadronic": {
+      if (!grammage && pool.age[slot] < 0.2) return;
+      const plusShare = pool.charge[slot] > 0 ? PI_PLUS_SHARE : 1 - PI_PLUS_SHARE;
+      const pionCharge = () => (rng() < plusShare ? 1 : -1);
+      const meson = () => (rng() < KAON_SHARE ? "kaon" : "pion");
+      add(meson(), 0.7, { scatter: 0.4, charge: pionCharge() });
+      add(meson(), 0.45, { scatter: 0.65, charge: pionCharge() });
+      // Neutral pions decay into photon pairs almost at once.
+      if (rng() < 0.5) {
+        add("pion0", 0.9, { scatter: 0.6, speed: 20 });
+      }
+      // Nuclei throw off prompt muons and knock out neutrons; antiprotons
+      // annihilate into photons.
+      const { promptMuonChance, annihilationChance, spectatorNeutronChance } = info;
+      if (promptMuonChance && rng() < promptMuonChance) {
+        add("muon", 0.4, { scatter: 0.5, speed: 20, charge: pionCharge() });
+      }
+      if (annihilationChance && rng() < annihilationChance) {
+        add("gamma", 0.5, { scatter: 0.5, speed: 22 });
+      }
+      if (spectatorNeutronChance && rng() < spectatorNeutronChance) {
+        add("neutron", 0.15, { scatter: 0.3, speed: 18 });
+      }
+      retained = 1 - HADRON_INELASTICITY;
+      break;
+    }
+    case "photon": {
+      if (grammage && energy < EM_CUTOFF) {
+        // Compton scattering and photoabsorption: the photon is absorbed and
+        // its energy booked to the air when it retires.
+        pool.consumed[slot] = 1;
+        return;
+      }
+      if (grammage || rng() < 0.55) {
+        pair("electron", "positron");
+      }
+      break;
+    }
+    case "electron": {
+      if (grammage || rng() < 0.3) {
+        add("gamma", 0.3, { scatter: 0.6, upwardBias: 0.1 });
+      }
+      retained = 0.7;
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (!products.length) return;
+  // A real interaction with the air uses the parent up: photons convert,
+  // electrons lose what they radiate, hadrons keep their leading share. The
+  // flat-rate model leaves parents untouched unless energy is conserved.
+  emitProducts(pool, slot, products, retained, grammage, params, "interaction");
+}
+
+export class Simulation {
+  constructor(params = {}, { seed = null } = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    // Live particles, one slot each; see pool.js.
+    this.particles = new ParticlePool();
+    this.time = 0;
+    this.spawnAccumulator = 0;
+    // Time handed to advance() that has not made up a whole step yet.
+    this.pendingTime = 0;
+    // Random streams: the session seed derives one independent stream per
+    // primary, so a shower can be replayed regardless of what else is in the sky.
+    this.sessionSeed = (seed ?? randomSeed()) >>> 0;
+    this.primaryIndex = 0;
+    this.lastPrimary = null;
+    this.showerCount = 0;
+    this.showers = [];
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    (this.listeners[event] ||= []).push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter((fn) => fn !== listener);
+    };
+  }
+
+  emit(event, payload) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+    for (const listener of listeners) listener(payload);
+  }
+
+  setParams(patch) {
+    if (patch.cascade && !this.params.cascade) this.spawnAccumulator = 0;
+    Object.assign(this.params, patch);
+  }
+
+  setSeed(seed) {
+    this.sessionSeed = seed >>> 0;
+    this.primaryIndex = 0;
+  }
+
+  // Auto-Cascade primaries may draw their arrival direction (isotropic sky),
+  // energy (power-law spectrum) and species (mixed composition); `direction`
+  // ({ zenith, azimuth }) and `energy` override the configured or drawn values.
+  // The draws use their own stream so overriding them on replay leaves the
+  // shower's stream untouched.
+  spawnPrimary(type = this.params.primaryType, { seed = null, auto = false, direction = null, energy = null } = {}) {
+    const { params } = this;
+    const replay = seed !== null;
+    const showerSeed = replay ? seed : deriveSeed(this.sessionSeed, this.primaryIndex++);
+    const injection = createRng(deriveSeed(showerSeed, 0));
+    let arrival = direction ?? { zenith: params.zenith, azimuth: params.azimuth };
+    const drawDirection = !direction && auto && params.skyMode === "isotropic";
+    if (drawDirection) arrival = sampleSkyDirection(injection, params.maxZenith);
+    let primaryEnergy = energy ?? params.energy;
+    const drawEnergy = energy === null && auto && params.spectrumMode === "power-law";
+    if (drawEnergy) primaryEnergy = sampleBrokenPowerLaw(injection, params.spectrum);
+    if (auto && params.compositionMode === "mixed") type = sampleSpecies(injection, params.composition) ?? type;
+
+    // Unknown species fall back to protons; the injection tuning (entry
+    // scatter, speed and energy scale) is the species' `primary` entry.
+    if (!speciesInfo(type)) type = "proton";
+    const { scatter = 0.2, speed = 18, energyScale = 1 } = speciesInfo(type).primary ?? {};
+    this.showerCount += 1;
+    const shower = createShower(this.showerCount, type, primaryEnergy * energyScale, showerSeed, this.time);
+    shower.zenith = arrival.zenith;
+    shower.azimuth = arrival.azimuth;
+    this.showers.push(shower);
+    if (this.showers.length > MAX_SHOWER_HISTORY) this.showers.shift();
+
+    const { rng } = shower;
+    // Aim at a core near the middle of the ground and start at the injection
+    // altitude along the arrival direction, so inclined primaries cross more air.
+    const source = arrivalVector(arrival.zenith, arrival.azimuth);
+    const altitude = 70 + (rng() - 0.5) * 6;
+    const core = new Vec3((rng() - 0.5) * 10, GROUND_LEVEL, (rng() - 0.5) * 10);
+    const origin = core.clone().addScaledVector(source, (altitude - GROUND_LEVEL) / source.y);
+    shower.axis = source.clone().multiplyScalar(-1);
+    shower.basis = perpendicularBasis(shower.axis);
+    const pool = this.particles;
+    const slot = createParticle(pool, shower, type, origin, shower.energy, { scatter, speed });
+    pool.axisDepth[slot] = axisDepth(getAtmosphere(params.atmosphere), shower, altitudeKm(origin.y));
+    const primary = new Particle(pool, slot);
+    // The entry scatter tilts the primary off the aim point; its own track marks the true core.
+    const { velocity } = primary;
+    shower.core = origin.clone().addScaledVector(velocity, (GROUND_LEVEL - origin.y) / velocity.y);
+    this.lastPrimary = { type, seed: showerSeed, direction: arrival, energy: primaryEnergy };
+    this.emit("primary", { particle: primary, shower, type, energy: primaryEnergy, seed: showerSeed, replay, auto });
+    this.emit("particle", primary);
+    return primary;
+  }
+
+  replayLastPrimary() {
+    if (!this.lastPrimary) return null;
+    const { type, seed, direction, energy } = this.lastPrimary;
+    return this.spawnPrimary(type, { seed, direction, energy });
+  }
+
+  // Runs fixed steps of `params.timestep` for `elapsed` seconds of wall time
+  // at `params.speed`, so results do not depend on how often it is called.
+  // Time short of a whole step carries over (see stepFraction). Beyond
+  // `maxSteps` in one call the rest is dropped: the simulation falls behind
+  // real time rather than trying to catch up. Returns the steps taken.
+  advance(elapsed, maxSteps = 32) {
+    const { timestep, speed } = this.params;
+    this.pendingTime += elapsed * speed;
+    let steps = 0;
+    while (this.pendingTime >= timestep) {
+      if (steps === maxSteps) {
+        this.pendingTime %= timestep;
+        break;
+      }
+      this.step(timestep);
+      this.pendingTime -= timestep;
+      steps += 1;
+    }
+    return steps;
+  }
+
+  // How far the carried-over time reaches into the next fixed step (0 to 1),
+  // for drawing particles between their last two positions.
+  get stepFraction() {
+    return Math.min(1, this.pendingTime / this.params.timestep);
+  }
+
+  step(delta) {
+    const { params } = this;
+    const pool = this.particles;
+    pool.limit = params.maxParticles;
+    const env = {
+      atmosphere: getAtmosphere(params.atmosphere),
+      field: params.field?.strength ? fieldVector(params.field) : null,
+      grammage: params.interactionModel === "grammage",
+      minEnergy: MIN_ENERGY[params.interactionModel] ?? MIN_ENERGY.drive,
+    };
+    // Depths carried over from another atmosphere are recomputed.
+    if (pool.depthProfile !== env.atmosphere) {
+      pool.verticalDepth.fill(-1);
+      pool.depthProfile = env.atmosphere;
+    }
+    this.time += delta;
+    if (params.cascade) {
+      const interval = 1 / Math.max(params.rate, 0.1);
+      this.spawnAccumulator += delta;
+      while (this.spawnAccumulator >= interval) {
+        this.spawnAccumulator -= interval;
+        this.spawnPrimary(params.primaryType, { auto: true });
+      }
+    } else {
+      this.spawnAccumulator = 0;
+    }
+
+    const { listeners } = this;
+    const watching = Boolean(listeners.particle?.length || listeners.decay?.length);
+    // Walks down from the last slot so a removal only moves a particle that
+    // has already stepped (or a daughter born this step) into the hole.
+    for (let slot = pool.length - 1; slot >= 0; slot -= 1) {
+      advance(pool, slot, delta, env);
+      // Daughters are appended, so the slots from `born` on are this particle's.
+      const born = pool.length;
+      if (shouldDecay(pool, slot)) {
+        const parent = watching ? new Particle(pool, slot) : null;
+        decay(pool, slot, params);
+        if (watching) this.emitDaughters(born, parent);
+      } else {
+        maybeBranch(pool, slot, delta, params);
+        if (watching) this.emitDaughters(born, null);
+      }
+      if (!shouldExpire(pool, slot, env)) continue;
+      const info = SPECIES_INFO[pool.species[slot]];
+      const type = info.name;
+      // Neutrinos leave through the ground unseen.
+      const hitFloor = pool.position[slot * 3 + 1] < GROUND_LEVEL + 0.1 && !info.escapes;
+      if (hitFloor) {
+        const { hits } = pool.showers[slot];
+        hits[type] = (Object.hasOwn(hits, type) ? hits[type] : 0) + 1;
+        if (this.listeners.hit?.length) this.emit("hit", new Particle(pool, slot));
+      }
+      this.retire(slot, hitFloor ? "ground" : depositBucket(type));
+    }
+    this.emit("step", delta);
+  }
+
+  // `particle` for every daughter from slot `from` on, then `decay` with the
+  // parent as it was just before it decayed (null after an interaction).
+  emitDaughters(from, parent) {
+    const pool = this.particles;
+    const products = [];
+    for (let slot = from; slot < pool.length; slot += 1) products.push(new Particle(pool, slot));
+    for (const particle of products) this.emit("particle", particle);
+    if (parent) this.emit("decay", { particle: parent, products });
+  }
+
+  // Particles refused since the simulation started because `maxParticles`
+  // were already alive; their energy is in each shower's `ledger.dropped`.
+  get droppedParticles() {
+    return this.particles.dropped;
+  }
+
+  // A copy of the particle in `slot`.
+  particleAt(slot) {
+    return new Particle(this.particles, slot);
+  }
+
+  // Updates a copy from its live particle; false once the particle is gone.
+  refresh(particle) {
+    const slot = this.particles.resolve(particle.handle, particle.version);
+    if (slot < 0) return false;
+    particle.read(this.particles, slot);
+    return true;
+  }
+
+  // Books a dead particle's remaining energy, frees its slot and closes its
+  // shower once the last particle is gone.
+  retire(slot, bucket, { silent = false } = {}) {
+    const pool = this.particles;
+    const shower = pool.showers[slot];
+    shower.ledger[bucket] += pool.energy[slot];
+    shower.alive -= 1;
+    pool.remove(slot);
+    if (shower.alive === 0) {
+      shower.endTime = this.time;
+      shower.xmax = profileXmax(shower.profile);
+      if (!silent) this.emit("showerEnd", shower);
+    }
+  }
+
+  clear() {
+    const pool = this.particles;
+    while (pool.length) this.retire(pool.length - 1, "dropped", { silent: true });
+  }
+
+  inFlightEnergy(shower) {
+    const pool = this.particles;
+    let total = 0;
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      if (pool.showers[slot] === shower) total += pool.energy[slot];
+    }
+    return total;
+  }
+
+  // Position [x, y, z] of the shower's particle furthest along its axis, the
+  // leading edge of the cascade, or null once none is left.
+  showerFront(shower) {
+    const pool = this.particles;
+    const { axis } = shower;
+    let front = null;
+    let best = -Infinity;
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      if (pool.showers[slot] !== shower) continue;
+      const k = slot * 3;
+      const depth = pool.render[k] * axis.x + pool.render[k + 1] * axis.y + pool.render[k + 2] * axis.z;
+      if (depth > best) {
+        best = depth;
+        front = slot;
+      }
+    }
+    return front === null ? null : [...pool.render.subarray(front * 3, front * 3 + 3)];
+  }
+
+  counts() {
+    const pool = this.particles;
+    const counts = {
+      muon: 0,
+      muonPlus: 0,
+      muonMinus: 0,
+      gamma: 0,
+      electron: 0,
+      hadrons: 0,
+      total: pool.length,
+    };
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      const { group } = SPECIES_INFO[pool.species[slot]];
+      if (group === "muon") {
+        counts.muon += 1;
+        if (pool.charge[slot] > 0) counts.muonPlus += 1;
+        else counts.muonMinus += 1;
+      } else if (group === "hadron") {
+        counts.hadrons += 1;
+      } else if (group) {
+        counts[group] += 1;
+      }
+    }
+    return counts;
+  }
+}
@@ -0,0 +1,396 @@
+// Species registry: everything the simulation and the HUD know about a
+// particle type, in one table. Masses are in GeV, charges in units of e,
+// lifetimes in seconds (proper time), interaction lengths in g/cm² and
+// colours as 0xRRGGBB numbers or "#rrggbb" strings.
+//
+// A definition may give:
+//   label               name in the HUD
+//   mass, charge        rest mass and default charge; particles that come in
+//                       either sign are created with an explicit charge
+//   lifetime            proper lifetime; omitted or null for stable species
+//   color               point and track colour
+//   group               "electron", "gamma", "muon" or "hadron" for the counts,
+//                       profiles and ground analyses; null counts nowhere
+//   escapes             leaves the atmosphere unseen (energy booked to the
+//                       neutrino bucket, never a ground hit)
+//   interaction         air interaction model: "hadronic", "photon" (pair
+//                       production) or "electron" (bremsstrahlung), with its
+//                       mean free path in `interactionLength`
+//   flatRate            false to skip interactions in the flat-rate model
+//   promptMuonChance, annihilationChance, spectatorNeutronChance
+//                       extra products of hadronic collisions (nuclei make
+//                       prompt muons and knock out neutrons, antiprotons
+//                       annihilate into photons)
+//   primary             { scatter, speed, energyScale } to offer the species
+//                       as a primary: entry scatter, speed and energy scale
+//   decays              channels [{ ratio, products }]; one is drawn by its
+//                       branching ratio (ratios are normalised). Each product
+//                       is { type, share, scatter, speed, upwardBias, charge,
+//                       conjugate }: `share` of the parent's energy, `charge`
+//                       a number, "parent" or "opposite", and `conjugate` the
+//                       type used instead when the parent has the opposite
+//                       sign to the species' default charge (μ+ → e+).
+//
+// defineSpecies() adds species or replaces them in place, so a JSON file of
+// definitions can extend the table at runtime. Species keep their index in
+// SPECIES for good: the particle pool, genealogy and recordings store it.
+
+export const GROUPS = ["electron", "gamma", "muon", "hadron"];
+export const INTERACTIONS = ["hadronic", "photon", "electron"];
+
+const DEFAULT_SPECIES = {
+  proton: {
+    label: "PROTON [H+]",
+    mass: 0.938272,
+    charge: 1,
+    color: 0xffc26f,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 90,
+    primary: {},
+  },
+  helium: {
+    label: "HELIUM [He-4]",
+    mass: 3.727379,
+    charge: 2,
+    color: 0xfff07a,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 53,
+    promptMuonChance: 0.15,
+    spectatorNeutronChance: 0.3,
+    primary: { scatter: 0.22, speed: 19 },
+  },
+  gamma: {
+    label: "GAMMA [γ]",
+    mass: 0,
+    charge: 0,
+    color: 0x7ef9ff,
+    group: "gamma",
+    // Pair-production length, 9/7 of the radiation length.
+    interaction: "photon",
+    interactionLength: 47.2,
+    primary: { scatter: 0.08, speed: 24 },
+  },
+  pion: {
+    label: "PION [π±]",
+    mass: 0.13957,
+    charge: 1,
+    lifetime: 2.6033e-8,
+    color: 0xff7bac,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 120,
+    flatRate: false,
+    decays: [
+      {
+        ratio: 1,
+        products: [
+          { type: "muon", share: 0.7, scatter: 0.25, speed: 19, charge: "parent" },
+          { type: "neutrino", share: 0.2, scatter: 0.4, upwardBias: 0.3, speed: 16 },
+        ],
+      },
+    ],
+  },
+  muon: {
+    label: "MUON [μ±]",
+    mass: 0.105658,
+    charge: -1,
+    lifetime: 2.19698e-6,
+    color: 0x88c4ff,
+    group: "muon",
+    decays: [
+      {
+        ratio: 1,
+        products: [
+          { type: "electron", conjugate: "positron", share: 0.5, scatter: 0.35, speed: 14 },
+          { type: "neutrino", share: 0.15, scatter: 0.5, upwardBias: 0.3, speed: 16 },
+        ],
+      },
+    ],
+  },
+  electron: {
+    label: "ELECTRON [e-]",
+    mass: 0.000511,
+    charge: -1,
+    color: 0x66ffd7,
+    group: "electron",
+    // Radiation length X0.
+    interaction: "electron",
+    interactionLength: 36.7,
+  },
+  positron: {
+    label: "POSITRON [e+]",
+    mass: 0.000511,
+    charge: 1,
+    color: 0xffa3ff,
+    group: "electron",
+    interaction: "electron",
+    interactionLength: 36.7,
+  },
+  neutrino: {
+    label: "NEUTRINO [ν]",
+    mass: 0,
+    charge: 0,
+    color: 0x7a7a7a,
+    group: null,
+    escapes: true,
+  },
+  iron: {
+    label: "IRON [Fe-56]",
+    mass: 52.1,
+    charge: 26,
+    color: 0xffd97d,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 13.4,
+    promptMuonChance: 0.4,
+    spectatorNeutronChance: 0.6,
+    primary: { scatter: 0.25, speed: 20, energyScale: 1.3 },
+  },
+  tau: {
+    label: "TAU [τ]",
+    mass: 1.77686,
+    charge: -1,
+    lifetime: 2.903e-13,
+    color: 0x88ff00,
+    group: "hadron",
+    primary: { scatter: 0.18, speed: 22 },
+    decays: [
+      {
+        ratio: 1,
+        products: [
+          { type: "muon", share: 0.6, scatter: 0.3, speed: 20, charge: "parent" },
+          { type: "neutrino", share: 0.25, scatter: 0.6, speed: 18 },
+          { type: "pion", share: 0.35, scatter: 0.6, speed: 18 },
+        ],
+      },
+    ],
+  },
+  antiproton: {
+    label: "ANTI-PROTON [p-]",
+    mass: 0.938272,
+    charge: -1,
+    color: 0xb070ff,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 85,
+    annihilationChance: 0.35,
+    primary: { scatter: 0.22, speed: 18 },
+  },
+  kaon: {
+    label: "KAON [K±]",
+    mass: 0.493677,
+    charge: 1,
+    lifetime: 1.238e-8,
+    color: 0xff9a5c,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 133,
+    flatRate: false,
+    decays: [
+      {
+        ratio: 0.6356,
+        products: [
+          { type: "muon", share: 0.55, scatter: 0.25, speed: 19, charge: "parent" },
+          { type: "neutrino", share: 0.45, scatter: 0.4, upwardBias: 0.3, speed: 16 },
+        ],
+      },
+      {
+        ratio: 0.2067,
+        products: [
+          { type: "pion", share: 0.5, scatter: 0.35, speed: 18, charge: "parent" },
+          { type: "pion0", share: 0.5, scatter: 0.35, speed: 18 },
+        ],
+      },
+      {
+        ratio: 0.0583,
+        products: [
+          { type: "pion", share: 0.34, scatter: 0.45, speed: 18, charge: "parent" },
+          { type: "pion", share: 0.33, scatter: 0.45, speed: 18, charge: "parent" },
+          { type: "pion", share: 0.33, scatter: 0.45, speed: 18, charge: "opposite" },
+        ],
+      },
+      {
+        ratio: 0.0507,
+        products: [
+          { type: "pion0", share: 0.4, scatter: 0.4, speed: 18 },
+          { type: "positron", conjugate: "electron", share: 0.3, scatter: 0.45, speed: 16 },
+          { type: "neutrino", share: 0.3, scatter: 0.5, upwardBias: 0.2, speed: 16 },
+        ],
+      },
+    ],
+  },
+  pion0: {
+    label: "NEUTRAL PION [π0]",
+    mass: 0.134977,
+    charge: 0,
+    lifetime: 8.52e-17,
+    color: 0xff5f7e,
+    group: "hadron",
+    decays: [
+      {
+        ratio: 0.988,
+        products: [
+          { type: "gamma", share: 0.5, scatter: 0.8, upwardBias: 0.2, speed: 20 },
+          { type: "gamma", share: 0.5, scatter: 0.85, upwardBias: 0.15, speed: 18 },
+        ],
+      },
+      {
+        // Dalitz decay
+        ratio: 0.012,
+        products: [
+          { type: "gamma", share: 0.5, scatter: 0.8, upwardBias: 0.2, speed: 20 },
+          { type: "electron", share: 0.25, scatter: 0.85, speed: 16 },
+          { type: "positron", share: 0.25, scatter: 0.85, speed: 16 },
+        ],
+      },
+    ],
+  },
+  neutron: {
+    label: "NEUTRON [n]",
+    mass: 0.939565,
+    charge: 0,
+    lifetime: 879.4,
+    color: 0xd8c8a8,
+    group: "hadron",
+    interaction: "hadronic",
+    interactionLength: 88,
+    primary: {},
+    decays: [
+      {
+        ratio: 1,
+        products: [
+          { type: "proton", share: 0.98, scatter: 0.1, speed: 18 },
+          { type: "electron", share: 0.01, scatter: 0.5, speed: 14 },
+          { type: "neutrino", share: 0.01, scatter: 0.5, speed: 16 },
+        ],
+      },
+    ],
+  },
+};
+
+// Species names in index order, and their definitions by index and by name.
+export const SPECIES = [];
+export const SPECIES_INFO = [];
+const BY_NAME = new Map();
+
+// Species names per group, for the profiles and the ground analyses.
+export const SPECIES_GROUPS = Object.fromEntries(GROUPS.map((group) => [group, []]));
+
+const MAX_SPECIES = 256;
+
+function parseColor(color, name) {
+  if (typeof color === "number") return color;
+  if (typeof color === "string" && /^#?[0-9a-f]{6}$/i.test(color)) return parseInt(color.replace("#", ""), 16);
+  throw new Error(`Species ${name}: bad colour ${color}`);
+}
+
+// A checked copy of one definition with every field filled in.
+function normalise(name, definition, known) {
+  const fail = (message) => {
+    throw new Error(`Species ${name}: ${message}`);
+  };
+  if (!/^[a-z][a-z0-9_]*$/i.test(name)) fail("names use letters, digits and _");
+  const { mass, charge = 0, lifetime = null, group = null, interaction = null, interactionLength = null } = definition;
+  if (!(mass >= 0)) fail("mass must be a number ≥ 0");
+  if (!Number.isInteger(charge)) fail("charge must be an integer");
+  if (lifetime !== null && !(lifetime > 0)) fail("lifetime must be positive");
+  if (group !== null && !GROUPS.includes(group)) fail(`group must be one of ${GROUPS.join(", ")} or null`);
+  if (interaction !== null && !INTERACTIONS.includes(interaction)) {
+    fail(`interaction must be one of ${INTERACTIONS.join(", ")}`);
+  }
+  if (interaction !== null && !(interactionLength > 0)) fail("interactionLength must be positive");
+  const decays = (definition.decays ?? []).map((channel) => {
+    if (!(channel.ratio > 0) || !Array.isArray(channel.products) || !channel.products.length) {
+      fail("decay channels need a positive ratio and products");
+    }
+    const products = channel.products.map((product) => {
+      for (const type of [product.type, product.conjugate ?? product.type]) {
+        if (!known(type)) fail(`unknown decay product ${type}`);
+      }
+      if (!(product.share > 0)) fail("decay product shares must be positive");
+      const { charge: productCharge } = product;
+      if (productCharge !== undefined && !["parent", "opposite"].includes(productCharge)) {
+        if (!Number.isInteger(productCharge)) fail(`bad decay product charge ${productCharge}`);
+      }
+      return { ...product };
+    });
+    return { ratio: channel.ratio, products };
+  });
+  if (decays.length && lifetime === null) fail("unstable species need a lifetime");
+  const total = decays.reduce((sum, channel) => sum + channel.ratio, 0);
+  for (const channel of decays) channel.ratio /= total;
+  const { primary = null } = definition;
+  return {
+    name,
+    label: definition.label ?? name.toUpperCase(),
+    mass,
+    charge,
+    lifetime,
+    color: parseColor(definition.color ?? 0xffffff, name),
+    group,
+    escapes: Boolean(definition.escapes),
+    interaction,
+    interactionLength: interaction === null ? null : interactionLength,
+    flatRate: definition.flatRate ?? true,
+    promptMuonChance: definition.promptMuonChance ?? 0,
+    annihilationChance: definition.annihilationChance ?? 0,
+    spectatorNeutronChance: definition.spectatorNeutronChance ?? 0,
+    primary: primary && { scatter: 0.2, speed: 18, energyScale: 1, ...primary },
+    decays,
+  };
+}
+
+// Adds or replaces species from `definitions` ({ name: definition }). The
+// whole batch is checked before anything changes; decay products may refer
+// to species of the same batch. Returns the names defined.
+export function defineSpecies(definitions) {
+  const names = Object.keys(definitions ?? {});
+  const added = names.filter((name) => !BY_NAME.has(name));
+  if (SPECIES.length + added.length > MAX_SPECIES) throw new Error(`At most ${MAX_SPECIES} species`);
+  const known = (type) => BY_NAME.has(type) || names.includes(type);
+  const entries = names.map((name) => normalise(name, definitions[name], known));
+  for (const info of entries) {
+    const existing = BY_NAME.get(info.name);
+    info.index = existing ? existing.index : SPECIES.length;
+    SPECIES[info.index] = info.name;
+    SPECIES_INFO[info.index] = info;
+    BY_NAME.set(info.name, info);
+  }
+  for (const group of GROUPS) {
+    const members = SPECIES_INFO.filter((info) => info.group === group).map((info) => info.name);
+    SPECIES_GROUPS[group].splice(0, SPECIES_GROUPS[group].length, ...members);
+  }
+  return names;
+}
+
+// Definitions from a JSON file: either { name: definition } or
+// { species: { name: definition } }.
+export function parseSpeciesFile(text) {
+  const file = JSON.parse(text);
+  const definitions = file?.species ?? file;
+  if (!definitions || typeof definitions !== "object" || Array.isArray(definitions)) {
+    throw new Error("Not a species file");
+  }
+  return definitions;
+}
+
+export function speciesInfo(type) {
+  return BY_NAME.get(type) ?? null;
+}
+
+export function speciesIndex(type) {
+  return BY_NAME.get(type)?.index ?? -1;
+}
+
+export function speciesGroup(type) {
+  return BY_NAME.get(type)?.group ?? null;
+}
+
+// Species offered as primaries, in index order.
+export function primarySpecies() {
+  return SPECIES_INFO.filter((info) => info.primary);
+}
+
+defineSpecies(DEFAULT_SPECIES);
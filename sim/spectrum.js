@@ -0,0 +1,82 @@
+// Primary energy spectrum for Auto-Cascade: a broken power law
+// dN/dE ∝ E^-index below the knee and E^-(index + indexChange) above it,
+// between min and max. Energies are in TeV. The real knee sits near 4 PeV;
+// the default is scaled down so the break falls inside the simulated range.
+
+export const DEFAULT_SPECTRUM = {
+  index: 2.7,
+  knee: 8,
+  indexChange: 0.4,
+  min: 0.8,
+  max: 16,
+};
+
+// ∫ E^-gamma dE from a to b.
+function powerIntegral(a, b, gamma) {
+  if (b <= a) return 0;
+  if (Math.abs(gamma - 1) < 1e-9) return Math.log(b / a);
+  return (b ** (1 - gamma) - a ** (1 - gamma)) / (1 - gamma);
+}
+
+// Inverse CDF of E^-gamma on [a, b].
+function samplePower(u, a, b, gamma) {
+  if (Math.abs(gamma - 1) < 1e-9) return a * (b / a) ** u;
+  const lo = a ** (1 - gamma);
+  const hi = b ** (1 - gamma);
+  return (lo + u * (hi - lo)) ** (1 / (1 - gamma));
+}
+
+// Relative flux dN/dE at `energy`, continuous across the knee.
+export function spectrumDensity(spectrum, energy) {
+  const { index, knee, indexChange } = spectrum;
+  if (energy <= knee) return energy ** -index;
+  return knee ** indexChange * energy ** -(index + indexChange);
+}
+
+export function sampleBrokenPowerLaw(rng, spectrum) {
+  const { index, knee, indexChange } = spectrum;
+  const min = Math.max(1e-6, Math.min(spectrum.min, spectrum.max));
+  const max = Math.max(spectrum.min, spectrum.max);
+  const upper = index + indexChange;
+  const kneeClamped = Math.min(Math.max(knee, min), max);
+  const below = powerIntegral(min, kneeClamped, index);
+  const above = knee ** indexChange * powerIntegral(kneeClamped, max, upper);
+  const total = below + above;
+  if (!(total > 0)) return min;
+  const pick = rng() * total;
+  const u = rng();
+  return pick < below ? samplePower(u, min, kneeClamped, index) : samplePower(u, kneeClamped, max, upper);
+}
+
+// Fixed-range histogram with logarithmic bins, for injected energies.
+export class LogHistogram {
+  constructor(min, max, bins = 24) {
+    this.min = min;
+    this.max = max;
+    this.bins = bins;
+    this.counts = new Array(bins).fill(0);
+    this.total = 0;
+  }
+
+  reset(min = this.min, max = this.max) {
+    this.min = min;
+    this.max = max;
+    this.counts.fill(0);
+    this.total = 0;
+  }
+
+  binOf(value) {
+    const t = Math.log(value / this.min) / Math.log(this.max / this.min);
+    return Math.min(this.bins - 1, Math.max(0, Math.floor(t * this.bins)));
+  }
+
+  edge(i) {
+    return this.min * (this.max / this.min) ** (i / this.bins);
+  }
+
+  fill(value) {
+    if (!(value > 0)) return;
+    this.counts[this.binOf(value)] += 1;
+    this.total += 1;
+  }
+}
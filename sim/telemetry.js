@@ -0,0 +1,175 @@
+// Telemetry history: the live particle count of each species group sampled at
+// a fixed interval of simulation time, the ground hits of each group so far,
+// the muon-to-electron ratio, and a summary of every shower that has ended,
+// for the HUD's charts and for export. Samples follow the simulation clock, so
+// a paused run adds none and the history carries on where it stopped.
+import { GROUPS, speciesGroup } from "./species.js";
+
+const capitalize = (group) => group[0].toUpperCase() + group.slice(1);
+
+// Column order of the exports. `muonElectronRatio` is of the live counts and
+// empty while there are no electrons.
+export const SAMPLE_FIELDS = [
+  "time",
+  ...GROUPS,
+  ...GROUPS.map((group) => `ground${capitalize(group)}`),
+  "muonElectronRatio",
+];
+export const SHOWER_FIELDS = [
+  "shower",
+  "seed",
+  "primary",
+  "energy",
+  "zenith",
+  "azimuth",
+  "peak",
+  ...GROUPS.map((group) => `ground${capitalize(group)}`),
+  "startTime",
+  "endTime",
+  "duration",
+  "xmax",
+];
+
+// Keeps the latest `capacity` entries, oldest first; older ones are counted
+// in `dropped`.
+class Ring {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  clear() {
+    this.items = [];
+    this.start = 0;
+    this.dropped = 0;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+    } else {
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped += 1;
+    }
+  }
+
+  at(index) {
+    return this.items[(this.start + index) % this.items.length];
+  }
+
+  toArray() {
+    return this.start ? [...this.items.slice(this.start), ...this.items.slice(0, this.start)] : this.items;
+  }
+}
+
+// Ground hits of a shower record (`hits` by species) per group.
+function groundByGroup(hits) {
+  const ground = Object.fromEntries(GROUPS.map((group) => [group, 0]));
+  for (const [type, count] of Object.entries(hits)) {
+    const group = speciesGroup(type);
+    if (group) ground[group] += count;
+  }
+  return ground;
+}
+
+// Summary of an ended shower record: one row of SHOWER_FIELDS.
+export function showerSummary(shower) {
+  const ground = groundByGroup(shower.hits);
+  const summary = {
+    shower: shower.id,
+    seed: shower.seed,
+    primary: shower.type,
+    energy: shower.energy,
+    zenith: shower.zenith,
+    azimuth: shower.azimuth,
+    peak: shower.peak,
+    startTime: shower.startTime,
+    endTime: shower.endTime,
+    duration: shower.endTime - shower.startTime,
+    xmax: shower.xmax,
+  };
+  for (const group of GROUPS) summary[`ground${capitalize(group)}`] = ground[group];
+  return summary;
+}
+
+// `interval` is the sampling period in seconds of simulation time; the
+// default capacities hold an hour of samples and the last 1000 showers.
+export class TelemetryHistory {
+  constructor({ interval = 0.25, capacity = 14400, showerCapacity = 1000 } = {}) {
+    this.interval = interval;
+    this.samples = new Ring(capacity);
+    this.showers = new Ring(showerCapacity);
+    this.clear();
+  }
+
+  clear() {
+    this.samples.clear();
+    this.showers.clear();
+    this.ground = Object.fromEntries(GROUPS.map((group) => [group, 0]));
+    this.nextSample = -Infinity;
+  }
+
+  // Call once a frame with the simulation clock and Simulation#counts(); takes
+  // a sample when the interval has passed. Returns whether it did.
+  sample(time, counts) {
+    if (time < this.nextSample) return false;
+    this.nextSample = time + this.interval;
+    const sample = { time };
+    for (const group of GROUPS) sample[group] = counts[group === "hadron" ? "hadrons" : group] ?? 0;
+    for (const group of GROUPS) sample[`ground${capitalize(group)}`] = this.ground[group];
+    sample.muonElectronRatio = sample.electron ? sample.muon / sample.electron : null;
+    this.samples.push(sample);
+    return true;
+  }
+
+  // Call with each particle of the simulation's `hit` event.
+  recordHit(particle) {
+    const group = speciesGroup(particle.type);
+    if (group) this.ground[group] += 1;
+  }
+
+  // Call with the shower of the simulation's `showerEnd` event.
+  recordShower(shower) {
+    const summary = showerSummary(shower);
+    this.showers.push(summary);
+    return summary;
+  }
+
+  // `meta` describes the run and is written as comment lines above the
+  // columns; `table` is "samples" or "showers".
+  toCSV(meta = {}, table = "samples") {
+    const [fields, ring] = table === "showers" ? [SHOWER_FIELDS, this.showers] : [SAMPLE_FIELDS, this.samples];
+    const rows = ring.toArray().map((entry) => fields.map((key) => entry[key] ?? "").join(","));
+    const header = Object.entries(this.exportMeta(meta)).map(
+      ([key, value]) => `# ${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`,
+    );
+    return [...header, fields.join(","), ...rows].join("\n");
+  }
+
+  toJSON(meta = {}) {
+    return JSON.stringify({
+      meta: this.exportMeta(meta),
+      sampleFields: SAMPLE_FIELDS,
+      samples: this.samples.toArray(),
+      showerFields: SHOWER_FIELDS,
+      showers: this.showers.toArray(),
+    });
+  }
+
+  exportMeta(meta) {
+    return {
+      ...meta,
+      interval: this.interval,
+      samples: this.samples.length,
+      droppedSamples: this.samples.dropped,
+      showers: this.showers.length,
+      droppedShowers: this.showers.dropped,
+      units: { time: "s", energy: "TeV", angles: "deg", xmax: "g/cm²" },
+    };
+  }
+}
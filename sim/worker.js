@@ -0,0 +1,294 @@
+// Web Worker that runs a Simulation off the main thread. SimulationClient
+// (client.js) sends it wall-clock time to advance by and commands; after each
+// advance it posts a frame back: the particles' float32 positions before and
+// after the last step (for interpolation), their species and energy share for
+// shading and their shower's id, the shower records that changed, the events
+// since the previous frame, the inspected particle, the recorder's progress
+// and the telescope's camera images when they changed.
+//
+// Particle buffers are transferred, not copied. The client hands the previous
+// set back with its next `advance` so they are reused while they fit.
+import { FRAME_BUFFERS } from "./client.js";
+import { Telescope } from "./optics.js";
+import { Recorder } from "./recording.js";
+import { Simulation, ancestry } from "./simulation.js";
+import { defineSpecies } from "./species.js";
+
+let sim = null;
+let recorder = null;
+// Events since the last frame, in order, as { event, payload }.
+let events = [];
+// Set by every step and by commands that add or remove particles.
+let dirty = true;
+let spare = null;
+// Showers posted as alive in the last frame; they are posted once more after
+// they end or are cleared.
+let liveShowers = new Set();
+// Inspected particle: the client's selection number and the Particle copy.
+let selection = null;
+// Unsubscribe functions of the `particle`, `decay` and `step` events the
+// client listens to; they are only forwarded on request as they are many.
+const forwarded = new Map();
+// Telescope while one is set up, and the image version last posted.
+let telescope = null;
+let telescopeVersion = 0;
+
+// Plain copy of a Particle for postMessage, with the shower by id.
+function particleState(particle) {
+  return { ...particle, shower: particle.shower.id };
+}
+
+// A shower record without its random stream, genealogy and basis, with the
+// energy still in flight and `front`, the position of its particle furthest
+// along the axis (null once none is left).
+function showerState(shower, inFlight, fronts) {
+  const { rng, genealogy, basis, ...record } = shower;
+  const slot = fronts.get(shower)?.slot;
+  const front = slot === undefined ? null : [...sim.particles.render.subarray(slot * 3, slot * 3 + 3)];
+  return { ...record, inFlight: inFlight.get(shower) ?? 0, front, genealogySize: genealogy.length };
+}
+
+function allocateBuffers(capacity) {
+  return {
+    capacity,
+    previous: new Float32Array(capacity * 3),
+    current: new Float32Array(capacity * 3),
+    species: new Uint8Array(capacity),
+    share: new Float32Array(capacity),
+    handles: new Int32Array(capacity),
+    versions: new Uint32Array(capacity),
+    slotShowers: new Uint32Array(capacity),
+  };
+}
+
+function packParticles() {
+  const pool = sim.particles;
+  const { length } = pool;
+  let buffers = spare;
+  spare = null;
+  if (!buffers || buffers.capacity < length) buffers = allocateBuffers(Math.max(1024, Math.ceil(length * 1.25)));
+  buffers.previous.set(pool.previous.subarray(0, length * 3));
+  buffers.current.set(pool.render.subarray(0, length * 3));
+  buffers.species.set(pool.species.subarray(0, length));
+  buffers.handles.set(pool.handle.subarray(0, length));
+  for (let slot = 0; slot < length; slot += 1) {
+    buffers.share[slot] = pool.energy[slot] / Math.max(pool.showers[slot].energy || 1, 0.5);
+    buffers.versions[slot] = pool.versions[pool.handle[slot]];
+    buffers.slotShowers[slot] = pool.showers[slot].id;
+  }
+  return { length, ...buffers };
+}
+
+function packShowers() {
+  const pool = sim.particles;
+  const inFlight = new Map();
+  const fronts = new Map();
+  for (let slot = 0; slot < pool.length; slot += 1) {
+    const shower = pool.showers[slot];
+    inFlight.set(shower, (inFlight.get(shower) ?? 0) + pool.energy[slot]);
+    const k = slot * 3;
+    const { axis } = shower;
+    const depth = pool.render[k] * axis.x + pool.render[k + 1] * axis.y + pool.render[k + 2] * axis.z;
+    const front = fronts.get(shower);
+    if (!front) {
+      fronts.set(shower, { depth, slot });
+    } else if (depth > front.depth) {
+      front.depth = depth;
+      front.slot = slot;
+    }
+  }
+  const changed = new Set(liveShowers);
+  for (const shower of inFlight.keys()) changed.add(shower);
+  liveShowers = new Set(inFlight.keys());
+  return [...changed].map((shower) => showerState(shower, inFlight, fronts));
+}
+
+// The inspected particle brought up to date, its live siblings' positions
+// and its ancestry.
+function inspect() {
+  const { particle } = selection;
+  const alive = sim.refresh(particle);
+  const pool = sim.particles;
+  const siblings = [];
+  if (alive && particle.parentId !== null) {
+    for (let slot = 0; slot < pool.length; slot += 1) {
+      if (pool.parentId[slot] !== particle.parentId || pool.id[slot] === particle.id) continue;
+      if (pool.showers[slot] === particle.shower) siblings.push(...pool.render.subarray(slot * 3, slot * 3 + 3));
+    }
+  }
+  return {
+    selection: selection.id,
+    particle: particleState(particle),
+    alive,
+    siblings: new Float32Array(siblings),
+    ancestry: ancestry(particle.shower, particle.id),
+  };
+}
+
+// `reply` names the message this frame answers.
+function postFrame(reply) {
+  const frame = {
+    type: "frame",
+    reply,
+    time: sim.time,
+    stepFraction: sim.stepFraction,
+    sessionSeed: sim.sessionSeed,
+    lastPrimary: sim.lastPrimary,
+    dropped: sim.droppedParticles,
+    showerIds: sim.showers.map((shower) => shower.id),
+    events,
+    recorder: recorder && { duration: recorder.duration, bytes: recorder.bytes, frames: recorder.frames.length },
+  };
+  events = [];
+  let transfer = [];
+  if (telescope && telescope.version !== telescopeVersion) {
+    telescopeVersion = telescope.version;
+    const { config, photons, version } = telescope;
+    const cherenkov = telescope.cherenkov.slice();
+    const fluorescence = telescope.fluorescence.slice();
+    frame.telescope = { config: { ...config }, photons: { ...photons }, version, cherenkov, fluorescence };
+  }
+  if (dirty) {
+    dirty = false;
+    frame.particles = packParticles();
+    frame.counts = sim.counts();
+    frame.showers = packShowers();
+    if (selection) frame.inspection = inspect();
+    transfer = FRAME_BUFFERS.map((name) => frame.particles[name].buffer);
+  }
+  if (frame.telescope) transfer.push(frame.telescope.cherenkov.buffer, frame.telescope.fluorescence.buffer);
+  self.postMessage(frame, transfer);
+}
+
+function finishRecording(full) {
+  recorder.stop();
+  const parts = recorder.toParts();
+  const { header, frames, bytes, duration } = recorder;
+  const transfer = parts.map((part) => (part instanceof ArrayBuffer ? part : part.buffer));
+  self.postMessage({ type: "recording", full, header, parts, frames: frames.length, bytes, duration }, transfer);
+  recorder = null;
+}
+
+function start({ params, seed }) {
+  sim = new Simulation(params, { seed });
+  sim.on("primary", (payload) => {
+    const { particle, shower } = payload;
+    events.push({ event: "primary", payload: { ...payload, particle: particleState(particle), shower: shower.id } });
+  });
+  sim.on("hit", (particle) => {
+    events.push({ event: "hit", payload: { ...particleState(particle), simTime: sim.time } });
+  });
+  sim.on("showerEnd", (shower) => events.push({ event: "showerEnd", payload: shower.id }));
+  sim.on("step", () => {
+    dirty = true;
+  });
+}
+
+function forward(event) {
+  if (forwarded.has(event)) return;
+  let listener = (particle) => events.push({ event, payload: particleState(particle) });
+  if (event === "decay") {
+    listener = ({ particle, products }) => {
+      events.push({ event, payload: { particle: particleState(particle), products: products.map(particleState) } });
+    };
+  } else if (event === "step") {
+    listener = (length) => events.push({ event, payload: length });
+  }
+  forwarded.set(event, sim.on(event, listener));
+}
+
+function findShower(id) {
+  if (selection?.particle.shower.id === id) return selection.particle.shower;
+  return sim.showers.find((shower) => shower.id === id) ?? null;
+}
+
+self.onmessage = ({ data: message }) => {
+  switch (message.type) {
+    case "init":
+      start(message);
+      postFrame("init");
+      break;
+    case "advance":
+      // The client sends nothing more until this reply, so it goes out even
+      // when a step throws.
+      try {
+        if (message.spare) spare = message.spare;
+        sim.advance(message.elapsed);
+        if (recorder?.full) finishRecording(true);
+      } finally {
+        postFrame("advance");
+      }
+      break;
+    case "steps":
+      for (let i = 0; i < message.count; i += 1) sim.step(sim.params.timestep);
+      if (recorder?.full) finishRecording(true);
+      postFrame("steps");
+      break;
+    case "params":
+      sim.setParams(message.patch);
+      break;
+    case "seed":
+      sim.setSeed(message.seed);
+      break;
+    case "spawn":
+      sim.spawnPrimary(message.primaryType, message.options);
+      dirty = true;
+      postFrame("spawn");
+      break;
+    case "replay":
+      sim.replayLastPrimary();
+      dirty = true;
+      postFrame("replay");
+      break;
+    case "species":
+      defineSpecies(message.definitions);
+      break;
+    case "clear":
+      sim.clear();
+      dirty = true;
+      postFrame("clear");
+      break;
+    case "select": {
+      const { target } = message;
+      const slot = target ? sim.particles.resolve(target.handle, target.version) : -1;
+      selection = slot < 0 ? null : { id: message.selection, particle: sim.particleAt(slot) };
+      self.postMessage({ type: "inspection", selection: message.selection, inspection: selection && inspect() });
+      break;
+    }
+    case "nodes": {
+      const shower = findShower(message.shower);
+      const nodes = message.ids.map((id) => shower?.genealogy.node(id) ?? null);
+      self.postMessage({ type: "nodes", request: message.request, nodes });
+      break;
+    }
+    case "subscribe":
+      forward(message.event);
+      break;
+    case "unsubscribe":
+      forwarded.get(message.event)?.();
+      forwarded.delete(message.event);
+      break;
+    case "telescope":
+      if (!message.config) {
+        telescope?.stop();
+        telescope = null;
+      } else if (telescope) {
+        telescope.configure(message.config);
+      } else {
+        telescope = new Telescope(sim, message.config);
+        telescopeVersion = 0;
+      }
+      break;
+    case "resetTelescope":
+      telescope?.reset();
+      break;
+    case "record":
+      recorder = new Recorder(sim);
+      break;
+    case "stopRecording":
+      if (recorder) finishRecording(false);
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Experiment, runBatch, sweepCombinations } from "../sim/api.js";
+import { SHOWER_FIELDS } from "../sim/telemetry.js";
+
+describe("Experiment", () => {
+  it("steps a headless simulation and reports its events", () => {
+    const experiment = Experiment.headless({ energy: 3 }, { seed: 4 });
+    const seen = { primary: 0, particle: 0, step: 0 };
+    for (const event of Object.keys(seen)) experiment.on(event, () => (seen[event] += 1));
+    assert.equal(experiment.inject("proton").step(30), experiment);
+    assert.equal(seen.primary, 1);
+    assert.equal(seen.step, 30);
+    assert.ok(Math.abs(experiment.time - 30 * experiment.params.timestep) < 1e-9);
+    experiment.runUntilQuiet();
+    assert.ok(seen.particle > 1);
+    const [shower] = experiment.stats().showers;
+    assert.equal(shower.alive, 0);
+    assert.notEqual(shower.endTime, null);
+  });
+
+  it("rejects unknown events", () => {
+    assert.throws(() => Experiment.headless().on("explode", () => {}), /Unknown event/);
+  });
+});
+
+describe("runBatch", () => {
+  it("crosses the sweep", () => {
+    const combinations = sweepCombinations({ primaryType: ["proton", "iron"], energy: [2, 8] });
+    assert.equal(combinations.length, 4);
+    assert.deepEqual(combinations[3], { primaryType: "iron", energy: 8 });
+    assert.deepEqual(sweepCombinations({}), [{}]);
+  });
+
+  it("gives one row per shower, the same for the same seed", async () => {
+    const options = { sweep: { primaryType: ["proton", "gamma"] }, showers: 2, seed: 5, maxSeconds: 30 };
+    const progress = [];
+    const results = await runBatch({ ...options, onProgress: ({ done, total }) => progress.push(`${done}/${total}`) });
+    assert.deepEqual(progress, ["1/4", "2/4", "3/4", "4/4"]);
+    assert.deepEqual(results.fields, ["param.primaryType", "run", "complete", ...SHOWER_FIELDS]);
+    assert.deepEqual(
+      results.rows.map((row) => [row["param.primaryType"], row.primary, row.run]),
+      [
+        ["proton", "proton", 0],
+        ["proton", "proton", 1],
+        ["gamma", "gamma", 0],
+        ["gamma", "gamma", 1],
+      ],
+    );
+    assert.ok(results.rows.every((row) => row.complete));
+    assert.deepEqual((await runBatch(options)).rows, results.rows);
+    const csv = results.toCSV({ seed: 5 }).split("\n");
+    assert.equal(csv[0], "# seed: 5");
+    assert.equal(csv.length, 2 + results.rows.length);
+  });
+
+  it("draws primaries from the sky, spectrum and composition", async () => {
+    const results = await runBatch({
+      params: { skyMode: "isotropic", spectrumMode: "power-law", compositionMode: "mixed" },
+      showers: 6,
+      maxSeconds: 20,
+    });
+    const distinct = (key) => new Set(results.rows.map((row) => row[key])).size;
+    assert.equal(distinct("zenith"), 6);
+    assert.equal(distinct("energy"), 6);
+  });
+});
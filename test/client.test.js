@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { SimulationClient } from "../sim/client.js";
+
+// Stands in for the module worker: keeps what it is sent and never answers.
+class SilentWorker {
+  constructor() {
+    this.sent = [];
+  }
+
+  postMessage(message) {
+    this.sent.push(message);
+  }
+}
+
+describe("SimulationClient", () => {
+  let originalWorker;
+  beforeEach(() => {
+    originalWorker = globalThis.Worker;
+    globalThis.Worker = SilentWorker;
+  });
+  afterEach(() => {
+    globalThis.Worker = originalWorker;
+  });
+
+  const advances = (client) => client.worker.sent.filter((message) => message.type === "advance");
+
+  it("holds time back while an advance is in flight", () => {
+    const client = new SimulationClient({}, { seed: 1 });
+    client.advance(0.1);
+    client.advance(0.2);
+    assert.equal(advances(client).length, 1);
+  });
+
+  it("keeps advancing after the worker fails", () => {
+    const client = new SimulationClient({}, { seed: 1 });
+    const errors = [];
+    client.on("error", (message) => errors.push(message));
+    client.advance(0.1);
+    client.worker.onerror({ message: "boom" });
+    client.advance(0.1);
+    assert.deepEqual(errors, ["boom"]);
+    assert.equal(advances(client).length, 2);
+    client.worker.onmessageerror();
+    client.advance(0.1);
+    assert.equal(advances(client).length, 3);
+  });
+});
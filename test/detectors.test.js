@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ABSORBERS, DetectorVolumes, absorberRange, decodeDetectors, encodeDetectors } from "../sim/detectors.js";
+
+describe("detectors", () => {
+  it("round-trip through their link encoding", () => {
+    const volumes = new DetectorVolumes();
+    volumes.add({ kind: "tank", x: 1.5, z: -2, size: 0.4, absorber: "lead", thickness: 0.05 });
+    const text = encodeDetectors(volumes.detectors);
+    const copy = new DetectorVolumes([]);
+    copy.replace(decodeDetectors(text));
+    assert.equal(encodeDetectors(copy.detectors), text);
+    assert.deepEqual(
+      copy.detectors.map((detector) => detector.id),
+      [1, 2, 3, 4],
+    );
+  });
+
+  it("skip entries they cannot read", () => {
+    const text = "slab,0,0,1,none,0;pool,0,0,1,none,0;tank,0,0,1,mud,0;tank,x,0,1,none,0";
+    assert.deepEqual(decodeDetectors(text), [{ kind: "slab", x: 0, z: 0, size: 1, absorber: "none", thickness: 0 }]);
+    assert.deepEqual(decodeDetectors(""), []);
+  });
+
+  it("let more energetic particles through more absorber", () => {
+    for (const type of ["muon", "electron", "gamma", "proton"]) {
+      assert.ok(absorberRange(ABSORBERS.rock, type, 1) > absorberRange(ABSORBERS.rock, type, 0.01), type);
+    }
+  });
+});
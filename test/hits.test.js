@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { HIT_FIELDS, HitLog } from "../sim/hits.js";
+import { Simulation } from "../sim/simulation.js";
+
+// The hit particles of one shower, in order, with the clock at each.
+function showerHits() {
+  const sim = new Simulation({ primaryType: "proton", energy: 4 }, { seed: 9 });
+  const hits = [];
+  sim.on("hit", (particle) => hits.push([particle, sim.time]));
+  sim.spawnPrimary();
+  while (sim.particles.length) sim.step(1 / 60);
+  return hits;
+}
+
+describe("HitLog", () => {
+  const hits = showerHits();
+
+  it("keeps every hit under capacity", () => {
+    const log = new HitLog();
+    for (const [particle, time] of hits) log.record(particle, time);
+    assert.equal(log.size, hits.length);
+    assert.equal(log.dropped, 0);
+    assert.deepEqual(
+      log.records().map((hit) => hit.particle),
+      hits.map(([particle]) => particle.id),
+    );
+  });
+
+  it("keeps the latest hits, oldest first, once the ring overflows", () => {
+    const capacity = 10;
+    assert.ok(hits.length > capacity * 2);
+    const log = new HitLog({ capacity });
+    for (const [particle, time] of hits) log.record(particle, time);
+    assert.equal(log.size, capacity);
+    assert.equal(log.dropped, hits.length - capacity);
+    assert.deepEqual(
+      log.records().map((hit) => hit.particle),
+      hits.slice(-capacity).map(([particle]) => particle.id),
+    );
+  });
+
+  it("filters by species and shower", () => {
+    const log = new HitLog();
+    for (const [particle, time] of hits) log.record(particle, time);
+    const muons = log.records({ species: ["muon"] });
+    assert.equal(muons.length, hits.filter(([particle]) => particle.type === "muon").length);
+    assert.ok(muons.every((hit) => hit.type === "muon"));
+    assert.equal(log.records({ shower: 2 }).length, 0);
+  });
+
+  it("writes one CSV row per hit under the meta comments", () => {
+    const log = new HitLog({ capacity: 5 });
+    for (const [particle, time] of hits) log.record(particle, time);
+    const lines = log.toCSV({ seed: 9 }).split("\n");
+    const comments = lines.filter((line) => line.startsWith("#"));
+    assert.ok(comments.includes("# seed: 9"));
+    assert.ok(comments.includes(`# dropped: ${hits.length - 5}`));
+    const table = lines.slice(comments.length);
+    assert.equal(table[0], HIT_FIELDS.join(","));
+    assert.equal(table.length, 6);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { LateralDistribution, nkgDensity, showerPlaneDistance } from "../sim/lateral.js";
+import { createShower } from "../sim/simulation.js";
+import { Vec3 } from "../sim/vec3.js";
+
+// A vertical shower with its core at the origin.
+function verticalShower() {
+  const shower = createShower(1, "proton", 4, 1, 0);
+  shower.core = new Vec3(0, -20, 0);
+  return shower;
+}
+
+// Fills each ring with the counts an NKG profile of this size and age leads
+// to, as the fit models them.
+function fillNKG(lateral, size, age) {
+  const counts = lateral.counts.electron;
+  for (let i = 0; i < lateral.bins; i += 1) {
+    const r = Math.sqrt(lateral.edge(i) * lateral.edge(i + 1));
+    counts[i] = Math.round(nkgDensity(r, size, age) * lateral.ringArea(i));
+  }
+}
+
+describe("NKG", () => {
+  it("integrates to the shower size over the plane", () => {
+    const size = 1e5;
+    let total = 0;
+    // Midpoint rule in ln r, out to 1000 Molière radii.
+    const steps = 20000;
+    const [low, high] = [Math.log(1e-6), Math.log(2000)];
+    const width = (high - low) / steps;
+    for (let i = 0; i < steps; i += 1) {
+      const r = Math.exp(low + (i + 0.5) * width);
+      total += nkgDensity(r, size, 1.2) * 2 * Math.PI * r * r * width;
+    }
+    assert.ok(Math.abs(total / size - 1) < 1e-3, `${total}`);
+  });
+
+  it("fit recovers the size and age it was filled with", () => {
+    for (const age of [0.8, 1.2, 1.6]) {
+      const lateral = new LateralDistribution(verticalShower());
+      fillNKG(lateral, 1e6, age);
+      const fit = lateral.fitNKG();
+      assert.ok(Math.abs(fit.age - age) < 0.015, `age ${fit.age} for ${age}`);
+      assert.ok(Math.abs(fit.size / 1e6 - 1) < 0.02, `size ${fit.size}`);
+    }
+  });
+
+  it("fit gives up on fewer than ten particles", () => {
+    const lateral = new LateralDistribution(verticalShower());
+    lateral.counts.electron[3] = 9;
+    assert.equal(lateral.fitNKG(), null);
+  });
+});
+
+describe("LateralDistribution", () => {
+  it("counts hits between the innermost and outermost ring edges only", () => {
+    const lateral = new LateralDistribution(verticalShower());
+    const down = new Vec3(0, -1, 0);
+    for (const km of [0.01, 0.06, 19, 25]) {
+      lateral.fill({ type: "electron", position: new Vec3(km / 0.5, -20, 0), velocity: down, flightTime: 0 });
+    }
+    assert.equal(lateral.total, 2);
+    assert.equal(lateral.counts.electron[0], 1);
+    assert.equal(lateral.counts.electron[lateral.bins - 1], 1);
+  });
+});
+
+describe("showerPlaneDistance", () => {
+  it("is the ground distance for a vertical shower", () => {
+    assert.ok(Math.abs(showerPlaneDistance(verticalShower(), 3, 4) - 2.5) < 1e-12);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DEFAULT_TELESCOPE, Telescope, cherenkovThreshold } from "../sim/optics.js";
+import { Simulation } from "../sim/simulation.js";
+
+const DEG = Math.PI / 180;
+
+// Unit vector `angle` degrees from the telescope's axis towards `side`
+// (its right or up vector).
+function offAxis(telescope, side, angle) {
+  const { forward } = telescope;
+  const other = telescope[side];
+  const [c, s] = [Math.cos(angle * DEG), Math.sin(angle * DEG)];
+  return [c * forward.x + s * other.x, c * forward.y + s * other.y, c * forward.z + s * other.z];
+}
+
+describe("cherenkovThreshold", () => {
+  it("is m / sqrt(2δ) and infinite without mass", () => {
+    const delta = 2.83e-4;
+    const electron = cherenkovThreshold(0.000511, delta);
+    assert.ok(Math.abs(electron / (0.000511 / Math.sqrt(2 * delta) / 1000) - 1) < 1e-3);
+    assert.ok(Math.abs(cherenkovThreshold(0.10566, delta) / electron - 0.10566 / 0.000511) < 1e-6);
+    assert.ok(cherenkovThreshold(0.000511, delta / 10) > electron);
+    assert.equal(cherenkovThreshold(0, delta), Infinity);
+  });
+});
+
+describe("Telescope", () => {
+  it("maps the field of view's edges to the outermost pixels", () => {
+    const telescope = new Telescope(new Simulation());
+    const { pixels, fov } = DEFAULT_TELESCOPE;
+    const half = fov / 2;
+    const { forward } = telescope;
+    // Sideways from the axis the row is on a pixel boundary (and upwards the
+    // column), so only the other coordinate is checked.
+    const column = (side, angle) => telescope.pixelOf(...offAxis(telescope, side, angle)) % pixels;
+    const row = (side, angle) => Math.floor(telescope.pixelOf(...offAxis(telescope, side, angle)) / pixels);
+    assert.equal(telescope.pixelOf(forward.x, forward.y, forward.z), (pixels / 2) * pixels + pixels / 2);
+    assert.equal(column("right", half - 0.01), pixels - 1);
+    assert.equal(column("right", 0.01 - half), 0);
+    assert.equal(row("up", half - 0.01), 0);
+    assert.equal(row("up", 0.01 - half), pixels - 1);
+    for (const side of ["right", "up"]) {
+      assert.equal(telescope.pixelOf(...offAxis(telescope, side, half + 0.01)), -1);
+      assert.equal(telescope.pixelOf(...offAxis(telescope, side, -(half + 0.01))), -1);
+    }
+    assert.equal(telescope.pixelOf(-forward.x, -forward.y, -forward.z), -1);
+  });
+
+  it("starts a new image when it is reconfigured", () => {
+    const sim = new Simulation({ primaryType: "proton", energy: 6 }, { seed: 2 });
+    const telescope = new Telescope(sim, { z: 0, elevation: 60, fov: 60 });
+    sim.spawnPrimary();
+    for (let i = 0; i < 400 && sim.particles.length; i += 1) sim.step(sim.params.timestep);
+    assert.ok(telescope.photons.fluorescence > 0);
+    const { version } = telescope;
+    telescope.configure({ pixels: 16 });
+    assert.equal(telescope.cherenkov.length, 256);
+    assert.deepEqual(telescope.photons, { cherenkov: 0, fluorescence: 0 });
+    assert.ok(telescope.fluorescence.every((count) => count === 0));
+    assert.ok(telescope.version > version);
+    telescope.stop();
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ParticlePool } from "../sim/pool.js";
+
+// Adds particles with energies 1..count and returns each one's handle and version.
+function fill(pool, count) {
+  const refs = [];
+  for (let i = 0; i < count; i += 1) {
+    const slot = pool.add({ id: 1 });
+    pool.energy[slot] = i + 1;
+    const handle = pool.handle[slot];
+    refs.push({ handle, version: pool.versions[handle] });
+  }
+  return refs;
+}
+
+const energyOf = (pool, { handle, version }) => pool.energy[pool.resolve(handle, version)];
+
+describe("ParticlePool", () => {
+  it("moves the last particle into a removed middle slot", () => {
+    const pool = new ParticlePool(8);
+    const refs = fill(pool, 4);
+    pool.remove(1);
+    assert.equal(pool.length, 3);
+    assert.deepEqual(refs.map((ref) => pool.resolve(ref.handle, ref.version)), [0, -1, 2, 1]);
+    assert.deepEqual([...pool.energy.subarray(0, pool.length)], [1, 4, 3]);
+    assert.equal(pool.showers[3], undefined);
+  });
+
+  it("removes the last slot without moving anything", () => {
+    const pool = new ParticlePool(8);
+    const refs = fill(pool, 3);
+    pool.remove(2);
+    assert.equal(pool.length, 2);
+    assert.deepEqual(refs.map((ref) => pool.resolve(ref.handle, ref.version)), [0, 1, -1]);
+    assert.deepEqual([...pool.energy.subarray(0, pool.length)], [1, 2]);
+  });
+
+  it("bumps the version of a reused handle so old references stay dead", () => {
+    const pool = new ParticlePool(8);
+    const [first] = fill(pool, 2);
+    pool.remove(0);
+    const [reused] = fill(pool, 1);
+    assert.equal(reused.handle, first.handle);
+    assert.equal(reused.version, first.version + 1);
+    assert.equal(pool.resolve(first.handle, first.version), -1);
+    assert.equal(energyOf(pool, reused), 1);
+  });
+
+  it("keeps handles across growth and rejects handles out of range", () => {
+    const pool = new ParticlePool(2);
+    const refs = fill(pool, 5);
+    assert.ok(pool.capacity >= 5);
+    assert.deepEqual(refs.map((ref) => energyOf(pool, ref)), [1, 2, 3, 4, 5]);
+    assert.equal(new Set(refs.map((ref) => ref.handle)).size, 5);
+    assert.equal(pool.resolve(-1, 0), -1);
+    assert.equal(pool.resolve(pool.capacity, 0), -1);
+  });
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { PresetStore, ViewpointStore, decodeHashState, encodeHashState } from "../sim/presets.js";
+
+// localStorage stand-in.
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+}
+
+describe("URL hash state", () => {
+  it("round-trips controls, seed and camera", () => {
+    const state = {
+      controls: { primaryType: "iron", energyRange: "8.5", cascadeToggle: true, trackToggle: false },
+      seed: 42,
+      camera: { position: [0, 35, 140], target: [1.25, 20, -3] },
+    };
+    const decoded = decodeHashState(`#${encodeHashState(state)}`, ["cascadeToggle", "trackToggle"]);
+    assert.deepEqual(decoded, { ...state, seed: "42" });
+  });
+
+  it("rounds the camera to three decimals and drops a malformed one", () => {
+    const hash = encodeHashState({ controls: {}, camera: { position: [1 / 3, 0, 0], target: [0, 0, 0] } });
+    assert.deepEqual(decodeHashState(hash, []).camera.position, [0.333, 0, 0]);
+    assert.equal(decodeHashState("#camera=1,2,3", []).camera, null);
+  });
+
+  it("is null for an empty hash", () => {
+    assert.equal(decodeHashState("", []), null);
+    assert.equal(decodeHashState("#", []), null);
+  });
+});
+
+describe("PresetStore", () => {
+  it("persists presets and skips unreadable ones on load", () => {
+    const storage = memoryStorage();
+    const store = new PresetStore(storage);
+    store.save("iron", { controls: { primaryType: "iron" } });
+    store.save("broken", { controls: { energyRange: 3 } });
+    assert.deepEqual(new PresetStore(storage).names, ["iron"]);
+  });
+
+  it("starts empty on corrupt storage", () => {
+    assert.deepEqual(new PresetStore(memoryStorage({ "cosmic-ray-presets": "{" })).names, []);
+  });
+
+  it("imports what it exports", () => {
+    const store = new PresetStore(memoryStorage());
+    store.save("b", { controls: { primaryType: "gamma" }, camera: { position: [1, 2, 3], target: [0, 0, 0] } });
+    store.save("a", { controls: { cascadeToggle: true } });
+    const other = new PresetStore(memoryStorage());
+    assert.deepEqual(other.importJSON(store.toJSON()), ["b", "a"]);
+    assert.deepEqual(other.presets, store.presets);
+    assert.throws(() => other.importJSON("{}"), /Not a preset file/);
+  });
+
+  it("treats any name as a plain key", () => {
+    const store = new PresetStore(memoryStorage());
+    assert.equal(store.get("constructor"), null);
+    const presets = '{ "__proto__": { "controls": {} } }';
+    store.importJSON(`{ "format": "cosmic-ray-presets", "version": 1, "presets": ${presets} }`);
+    store.save("toString", { controls: { primaryType: "iron" } });
+    assert.deepEqual(store.names, ["__proto__", "toString"]);
+    assert.deepEqual(store.get("__proto__"), { controls: {} });
+  });
+});
+
+describe("ViewpointStore", () => {
+  it("keeps viewpoints in the order they were first saved", () => {
+    const storage = memoryStorage();
+    const store = new ViewpointStore(storage);
+    const camera = { position: [0, 1, 2], target: [0, 0, 0] };
+    store.save("top", camera);
+    store.save("side", camera);
+    store.save("top", { ...camera, position: [5, 5, 5] });
+    const loaded = new ViewpointStore(storage);
+    assert.deepEqual(loaded.names, ["top", "side"]);
+    assert.deepEqual(loaded.get("top").position, [5, 5, 5]);
+    assert.equal(loaded.get("valueOf"), null);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Recorder, parseRecording } from "../sim/recording.js";
+import { Simulation } from "../sim/simulation.js";
+
+// One ArrayBuffer from Recorder#toParts, as a saved file.
+function concat(parts) {
+  const bytes = parts.map((part) => new Uint8Array(part instanceof ArrayBuffer ? part : part.buffer));
+  const file = new Uint8Array(bytes.reduce((sum, part) => sum + part.byteLength, 0));
+  let offset = 0;
+  for (const part of bytes) {
+    file.set(part, offset);
+    offset += part.byteLength;
+  }
+  return file.buffer;
+}
+
+// Records one shower to its end, with the counts and ground hits at each
+// captured frame.
+function recordShower() {
+  const sim = new Simulation({ primaryType: "proton", energy: 4 }, { seed: 21 });
+  const recorder = new Recorder(sim, { fps: 20 });
+  const counts = [];
+  const hits = [];
+  let pendingHits = 0;
+  sim.on("hit", () => (pendingHits += 1));
+  sim.spawnPrimary();
+  while (sim.particles.length) {
+    sim.step(1 / 60);
+    recorder.capture();
+    if (recorder.frames.length === counts.length) continue;
+    counts.push(sim.counts());
+    hits.push(pendingHits);
+    pendingHits = 0;
+  }
+  recorder.stop();
+  return { sim, recorder, counts, hits };
+}
+
+describe("recordings", () => {
+  it("read back what the recorder captured", () => {
+    const { sim, recorder, counts, hits } = recordShower();
+    const recording = parseRecording(concat(recorder.toParts()));
+    assert.ok(recording.frames.length > 10);
+    assert.equal(recording.frames.length, recorder.frames.length);
+    assert.equal(recording.header.sessionSeed, sim.sessionSeed);
+    assert.deepEqual(recording.header.params, sim.params);
+    assert.deepEqual(
+      recording.header.events.map((event) => event.kind),
+      ["primary", "showerEnd"],
+    );
+    recording.frames.forEach((frame, index) => {
+      assert.deepEqual(recording.counts(index), counts[index]);
+      let frameHits = 0;
+      recording.forEachHit(index, () => (frameHits += 1));
+      assert.equal(frameHits, hits[index]);
+    });
+    assert.ok(Math.abs(recording.duration - (recording.frames.length - 1) / 20) < 1e-9);
+    assert.equal(recording.duration, recorder.duration);
+  });
+
+  it("find the frame at a time", () => {
+    const { recorder } = recordShower();
+    const recording = parseRecording(concat(recorder.toParts()));
+    const third = recording.frames[3].time;
+    assert.equal(recording.frameAt(third), 3);
+    assert.equal(recording.frameAt(third + 0.01), 3);
+    assert.equal(recording.frameAt(-1), 0);
+  });
+
+  it("drop a frame cut short and refuse other files", () => {
+    const { recorder } = recordShower();
+    const file = concat(recorder.toParts());
+    const recording = parseRecording(file.slice(0, file.byteLength - 1));
+    assert.equal(recording.frames.length, recorder.frames.length - 1);
+    assert.throws(() => parseRecording(new TextEncoder().encode("not a recording").buffer), /Not a cosmic ray/);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Simulation } from "../sim/simulation.js";
+
+const STEP = 1 / 60;
+
+// Steps until the last particle is gone, at most `maxSeconds`.
+function runShower(sim, maxSeconds = 120) {
+  const limit = Math.ceil(maxSeconds / STEP);
+  for (let steps = 0; sim.particles.length && steps < limit; steps += 1) sim.step(STEP);
+  assert.equal(sim.particles.length, 0, "shower did not end in time");
+}
+
+function ledgerTotal({ air, neutrino, ground, dropped }) {
+  return air + neutrino + ground + dropped;
+}
+
+function assertBalanced(ledger, inFlight = 0) {
+  const total = ledgerTotal(ledger) + inFlight;
+  assert.ok(Math.abs(total - ledger.injected) <= 1e-9 * ledger.injected, JSON.stringify(ledger));
+}
+
+// Ground hits of one shower, in order.
+function recordHits(sim) {
+  const hits = [];
+  sim.on("hit", ({ type, energy, position: { x, y, z } }) => hits.push([type, energy, x, y, z]));
+  return hits;
+}
+
+describe("Simulation", () => {
+  it("runs a shower to the ground without a DOM", () => {
+    const sim = new Simulation({ primaryType: "iron", energy: 8 }, { seed: 1 });
+    const primaries = [];
+    sim.on("primary", ({ type, seed }) => primaries.push([type, seed]));
+    const hits = recordHits(sim);
+    sim.spawnPrimary();
+    runShower(sim);
+    assert.deepEqual(primaries, [["iron", sim.lastPrimary.seed]]);
+    assert.ok(hits.length > 0);
+    assert.equal(sim.counts().total, 0);
+  });
+
+  it("gives the same shower for the same seed", () => {
+    const run = (seed) => {
+      const sim = new Simulation({ primaryType: "proton", energy: 5 }, { seed });
+      const hits = recordHits(sim);
+      sim.spawnPrimary();
+      runShower(sim);
+      return hits;
+    };
+    const first = run(7);
+    assert.ok(first.length > 0);
+    assert.deepEqual(run(7), first);
+    assert.notDeepEqual(run(8), first);
+  });
+
+  it("replays the last primary's shower", () => {
+    const sim = new Simulation({ energy: 3 }, { seed: 11 });
+    const hits = recordHits(sim);
+    sim.spawnPrimary();
+    runShower(sim);
+    const original = hits.splice(0);
+    sim.replayLastPrimary();
+    runShower(sim);
+    assert.deepEqual(hits, original);
+  });
+
+  it("balances each shower's ledger when conserving energy", () => {
+    const sim = new Simulation({ energy: 4, conserveEnergy: true }, { seed: 42 });
+    for (const type of ["proton", "iron", "gamma"]) {
+      sim.spawnPrimary(type);
+      runShower(sim);
+    }
+    assert.equal(sim.showers.length, 3);
+    for (const { ledger } of sim.showers) assertBalanced(ledger);
+  });
+
+  it("never creates energy while conserving it", () => {
+    const sim = new Simulation({ primaryType: "proton", energy: 6, conserveEnergy: true }, { seed: 5 });
+    sim.spawnPrimary();
+    const [shower] = sim.showers;
+    for (let i = 0; i < 600 && sim.particles.length; i += 1) {
+      sim.step(STEP);
+      assertBalanced(shower.ledger, sim.inFlightEnergy(shower));
+    }
+  });
+
+  it("books refused daughters to the ledger at the particle cap", () => {
+    const params = { primaryType: "iron", energy: 8, drive: 400, maxParticles: 50, conserveEnergy: true };
+    const sim = new Simulation(params, { seed: 3 });
+    sim.spawnPrimary();
+    runShower(sim);
+    const [shower] = sim.showers;
+    assert.ok(sim.droppedParticles > 0);
+    assert.equal(shower.dropped, sim.droppedParticles);
+    assert.ok(shower.ledger.dropped > 0);
+    assertBalanced(shower.ledger);
+  });
+
+  it("keeps at most maxParticles alive", () => {
+    const sim = new Simulation({ primaryType: "iron", energy: 8, drive: 400, maxParticles: 50 }, { seed: 3 });
+    sim.spawnPrimary();
+    let peak = 0;
+    for (let i = 0; i < 300 && sim.particles.length; i += 1) {
+      sim.step(STEP);
+      peak = Math.max(peak, sim.particles.length);
+    }
+    assert.equal(peak, 50);
+  });
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { SPECIES, defineSpecies, parseSpeciesFile, speciesIndex, speciesInfo } from "../sim/species.js";
+
+describe("species registry", () => {
+  it("replaces a species in place when it is defined again", () => {
+    const count = SPECIES.length;
+    const index = speciesIndex("muon");
+    defineSpecies({ muon: { ...speciesInfo("muon"), label: "MUON [μ]" } });
+    assert.equal(SPECIES.length, count);
+    assert.equal(speciesIndex("muon"), index);
+    assert.equal(speciesInfo("muon").label, "MUON [μ]");
+  });
+
+  it("knows nothing of names inherited from Object", () => {
+    for (const name of ["constructor", "toString", "valueOf", "hasOwnProperty"]) {
+      assert.equal(speciesInfo(name), null);
+      assert.equal(speciesIndex(name), -1);
+    }
+  });
+
+  it("registers names that Object.prototype also uses", () => {
+    const count = SPECIES.length;
+    const names = defineSpecies(parseSpeciesFile('{ "constructor": { "mass": 1 }, "toString": { "mass": 2 } }'));
+    assert.deepEqual(names, ["constructor", "toString"]);
+    assert.equal(SPECIES.length, count + 2);
+    assert.equal(speciesInfo("constructor").mass, 1);
+    assert.equal(SPECIES[speciesIndex("toString")], "toString");
+    const decays = [{ ratio: 1, products: [{ type: "constructor", share: 1 }] }];
+    defineSpecies({ valueOf: { mass: 3, lifetime: 1, decays } });
+    assert.equal(speciesInfo("valueOf").decays[0].products[0].type, "constructor");
+  });
+
+  it("rejects a batch with an unknown product or a bad name and changes nothing", () => {
+    const count = SPECIES.length;
+    const decays = [{ ratio: 1, products: [{ type: "hasOwnProperty", share: 1 }] }];
+    assert.throws(() => defineSpecies({ heavy: { mass: 5, lifetime: 1, decays } }), /unknown decay product/);
+    assert.throws(() => defineSpecies({ light: { mass: 0 }, __proto__x: { mass: 1 } }), /names use/);
+    assert.equal(SPECIES.length, count);
+    assert.equal(speciesInfo("light"), null);
+  });
+});
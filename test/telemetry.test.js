@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Simulation } from "../sim/simulation.js";
+import { GROUPS } from "../sim/species.js";
+import { SAMPLE_FIELDS, SHOWER_FIELDS, TelemetryHistory } from "../sim/telemetry.js";
+
+// Samples two showers to their end, as the HUD does once a frame.
+function recordRun() {
+  const sim = new Simulation({ energy: 4 }, { seed: 9 });
+  const telemetry = new TelemetryHistory({ interval: 0.1 });
+  const counts = [];
+  sim.on("hit", (particle) => telemetry.recordHit(particle));
+  sim.on("showerEnd", (shower) => telemetry.recordShower(shower));
+  sim.on("step", () => {
+    if (telemetry.sample(sim.time, sim.counts())) counts.push(sim.counts());
+  });
+  for (const type of ["proton", "gamma"]) {
+    sim.spawnPrimary(type);
+    while (sim.particles.length) sim.step(sim.params.timestep);
+  }
+  return { sim, telemetry, counts };
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe("TelemetryHistory", () => {
+  it("samples the live counts per group and the ground hits so far", () => {
+    const { sim, telemetry, counts } = recordRun();
+    const samples = telemetry.samples.toArray();
+    assert.equal(samples.length, counts.length);
+    samples.forEach((sample, i) => {
+      assert.equal(sample.hadron, counts[i].hadrons);
+      assert.ok(sum(GROUPS.map((group) => sample[group])) <= counts[i].total);
+    });
+    for (let i = 1; i < samples.length; i += 1) assert.ok(samples[i].time - samples[i - 1].time >= 0.1 - 1e-9);
+    const hits = sum(sim.showers.map((shower) => sum(Object.values(shower.hits))));
+    assert.equal(sum(Object.values(telemetry.ground)), hits);
+  });
+
+  it("sums each ended shower's ground hits by group", () => {
+    const { sim, telemetry } = recordRun();
+    const rows = telemetry.showers.toArray();
+    assert.deepEqual(
+      rows.map((row) => row.shower),
+      sim.showers.map((shower) => shower.id),
+    );
+    for (const group of GROUPS) {
+      const column = `ground${group[0].toUpperCase()}${group.slice(1)}`;
+      assert.equal(sum(rows.map((row) => row[column])), telemetry.ground[group]);
+    }
+    for (const row of rows) assert.equal(row.duration, row.endTime - row.startTime);
+  });
+
+  it("keeps the latest entries and reports the rest as dropped", () => {
+    const telemetry = new TelemetryHistory({ interval: 1, capacity: 3 });
+    for (let time = 0; time < 5; time += 1) telemetry.sample(time, { electron: time });
+    assert.deepEqual(
+      telemetry.samples.toArray().map((sample) => sample.electron),
+      [2, 3, 4],
+    );
+    const csv = telemetry.toCSV().split("\n");
+    assert.ok(csv.includes("# droppedSamples: 2"));
+    assert.equal(csv.filter((line) => !line.startsWith("#")).length, 4);
+    assert.equal(csv.find((line) => !line.startsWith("#")), SAMPLE_FIELDS.join(","));
+    assert.equal(telemetry.toCSV({}, "showers").split("\n").at(-1), SHOWER_FIELDS.join(","));
+  });
+});